@@ -0,0 +1,9 @@
+// Local EVM chain for the escrow tests and for trying payments by hand:
+// `npx hardhat node` serves it on http://127.0.0.1:8545
+module.exports = {
+  networks: {
+    hardhat: {
+      chainId: 31337
+    }
+  }
+};
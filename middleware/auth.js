@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 const authMiddleware = async (req, res, next) => {
   try {
@@ -12,6 +13,12 @@ const authMiddleware = async (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Check the token's session hasn't been logged out or revoked
+    const session = decoded.sid && await Session.findById(decoded.sid);
+    if (!session || !session.isActive()) {
+      return res.status(401).json({ error: 'Session has expired, please log in again' });
+    }
     
     // Find user
     const user = await User.findById(decoded.userId).select('-password');
@@ -20,9 +27,14 @@ const authMiddleware = async (req, res, next) => {
       return res.status(401).json({ error: 'User not found' });
     }
 
+    if (user.isSuspended()) {
+      return res.status(403).json({ error: 'Account suspended', suspendedUntil: user.suspension.suspendedUntil });
+    }
+
     // Add user to request
     req.user = user;
     req.userId = decoded.userId;
+    req.sessionId = decoded.sid;
     
     next();
   } catch (error) {
@@ -31,4 +43,24 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
+// Must run after authMiddleware
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({ error: 'Please verify your email address first', verificationRequired: true });
+  }
+
+  next();
+};
+
+// Must run after authMiddleware, e.g. authorize('moderator', 'admin')
+const authorize = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({ error: 'You do not have permission to do this' });
+  }
+
+  next();
+};
+
 module.exports = authMiddleware;
+module.exports.requireVerifiedEmail = requireVerifiedEmail;
+module.exports.authorize = authorize;
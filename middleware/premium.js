@@ -0,0 +1,59 @@
+const User = require('../models/User');
+const { hasEntitlement, getEntitlements } = require('../utils/entitlements');
+
+// Must run after authMiddleware, e.g. requireEntitlement('seeProfileViewers')
+const requireEntitlement = (name) => (req, res, next) => {
+  if (!hasEntitlement(req.user, name)) {
+    return res.status(403).json({ error: 'This feature requires a premium subscription', upgradeRequired: true });
+  }
+
+  next();
+};
+
+// Count one AI call against the user's daily allowance. Resolves to false
+// once today's allowance is used up.
+const consumeAiCall = async (user) => {
+  const limit = getEntitlements(user).aiCallsPerDay;
+  if (limit === null) {
+    return true;
+  }
+
+  const today = new Date().toISOString().slice(0, 10);
+
+  // Start a fresh counter on a new day
+  await User.updateOne(
+    { _id: user._id, 'aiUsage.day': { $ne: today } },
+    { aiUsage: { day: today, count: 0 } }
+  );
+
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, 'aiUsage.day': today, 'aiUsage.count': { $lt: limit } },
+    { $inc: { 'aiUsage.count': 1 } }
+  );
+
+  return !!updated;
+};
+
+// Count AI calls against the plan's daily allowance
+const limitAiCalls = async (req, res, next) => {
+  try {
+    if (!(await consumeAiCall(req.user))) {
+      const limit = getEntitlements(req.user).aiCallsPerDay;
+      return res.status(429).json({
+        error: `Daily limit of ${limit} AI requests reached. Upgrade to premium for unlimited AI features.`,
+        upgradeRequired: true
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('AI limit middleware error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+module.exports = {
+  requireEntitlement,
+  limitAiCalls,
+  consumeAiCall
+};
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const RateLimitBucket = require('../models/RateLimitBucket');
+
+// Limits per route group. Each group counts requests per IP and, once the
+// user is known (after authMiddleware), per user or session as well.
+// maxByKey overrides max for one kind of key.
+const RATE_LIMITS = {
+  // Login, registration, password reset and other credential endpoints
+  auth: {
+    windowMs: 15 * 60 * 1000,
+    max: parseInt(process.env.RATE_LIMIT_AUTH_MAX) || 20,
+    keys: ['ip']
+  },
+  // Token refresh and logout. Silent refreshes from several tabs, or many
+  // users behind one NAT, must not use up the login bucket, so these count
+  // per session with only a loose cap per IP.
+  session: {
+    windowMs: 15 * 60 * 1000,
+    max: parseInt(process.env.RATE_LIMIT_SESSION_MAX) || 60,
+    maxByKey: {
+      ip: parseInt(process.env.RATE_LIMIT_SESSION_IP_MAX) || 600
+    },
+    keys: ['session', 'ip']
+  },
+  // Calls that hit the AI provider
+  ai: {
+    windowMs: 60 * 1000,
+    max: parseInt(process.env.RATE_LIMIT_AI_MAX) || 10,
+    keys: ['user', 'ip']
+  },
+  // Resume upload and parsing
+  resume: {
+    windowMs: 60 * 60 * 1000,
+    max: parseInt(process.env.RATE_LIMIT_RESUME_MAX) || 20,
+    keys: ['user', 'ip']
+  }
+};
+
+// In-process store; fine for a single server
+class MemoryStore {
+  constructor() {
+    this.buckets = new Map();
+
+    // Drop finished windows now and then
+    setInterval(() => {
+      const now = Date.now();
+      this.buckets.forEach((bucket, key) => {
+        if (bucket.resetAt <= now) this.buckets.delete(key);
+      });
+    }, 60 * 1000).unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let bucket = this.buckets.get(key);
+
+    if (!bucket || bucket.resetAt <= now) {
+      bucket = { count: 0, resetAt: now + windowMs };
+      this.buckets.set(key, bucket);
+    }
+
+    bucket.count += 1;
+    return { count: bucket.count, resetAt: new Date(bucket.resetAt) };
+  }
+}
+
+// Shared store backed by MongoDB, so every server instance sees the same counts
+class MongoStore {
+  async increment(key, windowMs) {
+    const now = new Date();
+    const isOpen = { $gt: ['$resetAt', now] };
+
+    const bucket = await RateLimitBucket.findOneAndUpdate(
+      { _id: key },
+      [{
+        $set: {
+          count: { $cond: [isOpen, { $add: ['$count', 1] }, 1] },
+          resetAt: { $cond: [isOpen, '$resetAt', new Date(now.getTime() + windowMs)] }
+        }
+      }],
+      { upsert: true, new: true }
+    );
+
+    return { count: bucket.count, resetAt: bucket.resetAt };
+  }
+}
+
+const STORES = {
+  memory: () => new MemoryStore(),
+  mongo: () => new MongoStore()
+};
+
+let defaultStore = null;
+
+// Any object with increment(key, windowMs) -> { count, resetAt } can be
+// plugged in with setStore, e.g. a Redis-backed store.
+const getStore = () => {
+  if (!defaultStore) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    defaultStore = (STORES[name] || STORES.memory)();
+  }
+  return defaultStore;
+};
+
+const setStore = (store) => {
+  defaultStore = store;
+};
+
+const keyFor = (type, req) => {
+  if (type === 'user') return req.userId ? `user:${req.userId}` : null;
+  if (type === 'session') {
+    if (req.sessionId) return `session:${req.sessionId}`;
+    // Before authentication the refresh token stands in for the session
+    const token = req.body && req.body.refreshToken;
+    return typeof token === 'string' && token
+      ? `token:${crypto.createHash('sha256').update(token).digest('hex')}`
+      : null;
+  }
+  return `ip:${req.ip}`;
+};
+
+// Middleware enforcing a route group's limits. Sets the standard
+// RateLimit-Limit / -Remaining / -Reset headers for the tightest bucket.
+const rateLimit = (group) => {
+  const config = RATE_LIMITS[group];
+  if (!config) {
+    throw new Error(`Unknown rate limit group: ${group}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const keys = config.keys
+        .map(type => ({ key: keyFor(type, req), max: (config.maxByKey || {})[type] || config.max }))
+        .filter(({ key }) => key);
+      const results = await Promise.all(
+        keys.map(async ({ key, max }) => ({ max, ...await getStore().increment(`${group}:${key}`, config.windowMs) }))
+      );
+
+      const remaining = (result) => result.max - result.count;
+      const tightest = results.reduce((a, b) => (remaining(b) < remaining(a) ? b : a));
+      const resetSeconds = Math.max(Math.ceil((tightest.resetAt - Date.now()) / 1000), 0);
+
+      res.setHeader('RateLimit-Limit', tightest.max);
+      res.setHeader('RateLimit-Remaining', Math.max(remaining(tightest), 0));
+      res.setHeader('RateLimit-Reset', resetSeconds);
+
+      if (remaining(tightest) < 0) {
+        res.setHeader('Retry-After', resetSeconds);
+        return res.status(429).json({ error: 'Too many requests, please try again later' });
+      }
+
+      next();
+    } catch (error) {
+      // Never lock everyone out because the store is down
+      console.error('Rate limit error:', error);
+      next();
+    }
+  };
+};
+
+module.exports = {
+  RATE_LIMITS,
+  MemoryStore,
+  MongoStore,
+  rateLimit,
+  setStore
+};
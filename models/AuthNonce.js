@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Single-use nonces for wallet sign-in messages
+const authNonceSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  address: {
+    type: String,
+    required: true
+  },
+  chain: {
+    type: String,
+    enum: ['ethereum', 'solana'],
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB remove expired nonces
+authNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthNonce', authNonceSchema);
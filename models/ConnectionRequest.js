@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A pending or answered invitation to connect. Only an accepted request
+// links the two users.
+const connectionRequestSchema = new mongoose.Schema({
+  from: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  to: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  note: {
+    type: String,
+    default: '',
+    maxlength: 300,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'withdrawn'],
+    default: 'pending'
+  },
+  respondedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// At most one pending request per pair and direction
+connectionRequestSchema.index(
+  { from: 1, to: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+connectionRequestSchema.index({ to: 1, status: 1, createdAt: -1 });
+connectionRequestSchema.index({ from: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ConnectionRequest', connectionRequestSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. invoice numbers
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Atomically increment a sequence and return the new value
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findByIdAndUpdate(
+    name,
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// One connection vouching for one of a user's skills
+const endorsementSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  endorser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  skill: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Lowercased skill, so "React" and "react" count together
+  skillKey: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+endorsementSchema.index({ user: 1, skillKey: 1, endorser: 1 }, { unique: true });
+endorsementSchema.index({ endorser: 1 });
+
+endorsementSchema.statics.skillKey = function(skill) {
+  return String(skill).trim().toLowerCase();
+};
+
+module.exports = mongoose.model('Endorsement', endorsementSchema);
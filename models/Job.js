@@ -75,15 +75,14 @@ const jobSchema = new mongoose.Schema({
     },
     status: {
       type: String,
-      enum: ['pending', 'reviewed', 'shortlisted', 'rejected'],
+      enum: ['pending', 'reviewed', 'shortlisted', 'hired', 'rejected'],
       default: 'pending'
     },
     coverLetter: String,
-    resume: {
-      filename: String,
-      data: Buffer,
-      contentType: String,
-      uploadedAt: Date
+    // The stored resume version sent with this application
+    resumeVersion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Resume'
     }
   }],
   tags: [{
@@ -108,6 +107,12 @@ const jobSchema = new mongoose.Schema({
     enum: ['active', 'closed', 'draft'],
     default: 'active'
   },
+  boostedUntil: {
+    type: Date
+  },
+  featuredUntil: {
+    type: Date
+  },
   views: {
     type: Number,
     default: 0
@@ -129,6 +134,15 @@ const jobSchema = new mongoose.Schema({
 jobSchema.index({ title: 'text', description: 'text', skills: 'text' });
 jobSchema.index({ postedBy: 1, createdAt: -1 });
 jobSchema.index({ status: 1, createdAt: -1 });
+jobSchema.index({ 'applicants.resumeVersion': 1 });
+
+// Aggregation fields flagging jobs whose boost/feature is still running
+jobSchema.statics.promotionFields = function(now = new Date()) {
+  return {
+    isFeatured: { $gt: ['$featuredUntil', now] },
+    isBoosted: { $gt: ['$boostedUntil', now] }
+  };
+};
 
 // Update timestamp on save
 jobSchema.pre('save', function(next) {
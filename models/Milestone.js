@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+const milestoneSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  poster: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  freelancer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  blockchain: {
+    type: String,
+    enum: ['ethereum', 'polygon'],
+    required: true
+  },
+  escrowAddress: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['awaiting_funding', 'funded', 'delivered', 'releasing', 'released', 'disputed', 'refunding', 'refunded'],
+    default: 'awaiting_funding'
+  },
+  // Where a payout started from, so a failed payout can be retried
+  previousStatus: {
+    type: String
+  },
+  // Poster -> escrow
+  funding: {
+    transactionHash: {
+      type: String,
+      lowercase: true
+    },
+    fromAddress: String,
+    blockNumber: Number,
+    fundedAt: Date
+  },
+  delivery: {
+    note: String,
+    deliveredAt: Date
+  },
+  // Escrow -> freelancer
+  release: {
+    transactionHash: String,
+    toAddress: String,
+    blockNumber: Number,
+    sentAt: Date,
+    releasedAt: Date
+  },
+  // Escrow -> poster, when a dispute is settled in the poster's favour
+  refund: {
+    transactionHash: String,
+    toAddress: String,
+    blockNumber: Number,
+    sentAt: Date,
+    refundedAt: Date
+  },
+  dispute: {
+    reason: String,
+    disputedAt: Date,
+    resolution: {
+      outcome: {
+        type: String,
+        enum: ['release', 'refund']
+      },
+      note: String,
+      resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      resolvedAt: Date
+    }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Create indexes
+milestoneSchema.index({ job: 1, createdAt: 1 });
+milestoneSchema.index({ poster: 1 });
+milestoneSchema.index({ freelancer: 1 });
+milestoneSchema.index({ 'funding.transactionHash': 1 }, { unique: true, sparse: true });
+milestoneSchema.index({ status: 1 });
+
+// Update timestamp on save
+milestoneSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Milestone', milestoneSchema);
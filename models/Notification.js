@@ -7,10 +7,10 @@ const notificationSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Empty for system notifications
   sender: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+    ref: 'User'
   },
   type: {
     type: String,
@@ -22,7 +22,19 @@ const notificationSchema = new mongoose.Schema({
       'profile_view',        // Someone viewed your profile
       'job_posted',         // Connection posted a job
       'job_application',    // Someone applied to your job
-      'message'             // New message
+      'message',            // New message
+      'premium_expiring',   // Premium subscription expires soon
+      'premium_expired',    // Premium subscription has expired
+      'milestone_funded',   // Poster funded an escrow milestone
+      'milestone_delivered', // Freelancer delivered a milestone
+      'milestone_released', // Poster released milestone funds
+      'milestone_disputed', // Poster disputed a milestone
+      'milestone_refunded', // Escrowed milestone funds went back to the poster
+      'milestone_resolved', // A milestone dispute was settled
+      'account_locked',     // Too many failed logins
+      'skill_endorsed',     // A connection endorsed one of your skills
+      'recommendation_requested', // A connection asked you for a recommendation
+      'recommendation_received'   // A connection wrote you a recommendation
     ],
     required: true
   },
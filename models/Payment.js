@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
 
 const paymentSchema = new mongoose.Schema({
   user: {
@@ -6,6 +7,10 @@ const paymentSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  intent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentIntent'
+  },
   transactionHash: {
     type: String,
     required: true,
@@ -24,6 +29,12 @@ const paymentSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  tokenSymbol: {
+    type: String
+  },
+  tokenAddress: {
+    type: String
+  },
   fromAddress: {
     type: String,
     required: true
@@ -41,9 +52,15 @@ const paymentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Job'
   },
+  durationMonths: {
+    type: Number
+  },
+  durationDays: {
+    type: Number
+  },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'failed'],
+    enum: ['pending', 'confirmed', 'failed', 'refunded'],
     default: 'pending'
   },
   blockNumber: {
@@ -52,12 +69,44 @@ const paymentSchema = new mongoose.Schema({
   gasUsed: {
     type: String
   },
+  feeLamports: {
+    type: Number
+  },
+  confirmations: {
+    type: Number,
+    default: 0
+  },
+  failureReason: {
+    type: String
+  },
+  // Refunds are sent manually by an admin and recorded here
+  refund: {
+    transactionHash: String,
+    reason: String,
+    refundedAt: Date,
+    refundedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
   },
   confirmedAt: {
     type: Date
+  },
+  // Sequential number for receipts, assigned on confirmation
+  invoiceNumber: {
+    type: Number
+  },
+  // Value of the payment when it was confirmed
+  fiatValue: {
+    type: Number
+  },
+  fiatCurrency: {
+    type: String,
+    default: 'USD'
   }
 });
 
@@ -65,5 +114,14 @@ const paymentSchema = new mongoose.Schema({
 paymentSchema.index({ user: 1, createdAt: -1 });
 paymentSchema.index({ transactionHash: 1 });
 paymentSchema.index({ status: 1 });
+paymentSchema.index({ invoiceNumber: 1 }, { unique: true, sparse: true });
+
+// Give the payment the next invoice number if it doesn't have one yet
+paymentSchema.methods.assignInvoiceNumber = async function() {
+  if (!this.invoiceNumber) {
+    this.invoiceNumber = await Counter.next('invoice');
+  }
+  return this.invoiceNumber;
+};
 
 module.exports = mongoose.model('Payment', paymentSchema);
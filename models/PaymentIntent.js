@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const paymentIntentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['job_posting', 'premium_subscription', 'job_boost', 'featured_listing'],
+    required: true
+  },
+  // Exact price quoted by the server for each accepted chain
+  amounts: {
+    ethereum: Number,
+    polygon: Number,
+    solana: Number,
+    // USD price, payable in any accepted ERC-20 stablecoin
+    stablecoin: Number
+  },
+  relatedJobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+  durationMonths: {
+    type: Number
+  },
+  durationDays: {
+    type: Number
+  },
+  status: {
+    type: String,
+    enum: ['open', 'used'],
+    default: 'open'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Create indexes
+paymentIntentSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PaymentIntent', paymentIntentSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.PROFILE_VIEW_RETENTION_DAYS) || 365;
+
+// One view of a profile. The viewer's headline and company are copied at view
+// time so analytics don't depend on the viewer's current profile.
+const profileViewSchema = new mongoose.Schema({
+  profile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  viewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  viewerHeadline: {
+    type: String,
+    default: ''
+  },
+  viewerCompany: {
+    type: String,
+    default: ''
+  },
+  viewedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+profileViewSchema.index({ profile: 1, viewedAt: -1 });
+profileViewSchema.index({ profile: 1, viewer: 1, viewedAt: -1 });
+// Old views are removed by MongoDB
+profileViewSchema.index({ viewedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ProfileView', profileViewSchema);
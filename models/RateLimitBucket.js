@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Request counters for the shared (MongoDB) rate limit store
+const rateLimitBucketSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB remove buckets once their window is over
+rateLimitBucketSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitBucket', rateLimitBucketSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// A written recommendation for one of the recipient's experience entries.
+// Starts as 'requested' when the recipient asks for it, or 'pending' once
+// written; only 'approved' ones show on the profile.
+const recommendationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Copied from User.experience so edits to the profile don't orphan it
+  experience: {
+    experienceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    title: String,
+    company: String
+  },
+  relationship: {
+    type: String,
+    default: '',
+    maxlength: 200,
+    trim: true
+  },
+  content: {
+    type: String,
+    default: '',
+    maxlength: 3000,
+    trim: true
+  },
+  requestMessage: {
+    type: String,
+    default: '',
+    maxlength: 500,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'pending', 'approved', 'hidden'],
+    required: true
+  },
+  requestedAt: {
+    type: Date
+  },
+  writtenAt: {
+    type: Date
+  },
+  approvedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+recommendationSchema.index({ recipient: 1, status: 1, approvedAt: -1 });
+recommendationSchema.index({ author: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Recommendation', recommendationSchema);
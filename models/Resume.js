@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// A stored resume file. Users keep several named versions, one of them the
+// default; applications point at the version that was sent.
+const resumeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  filename: {
+    type: String,
+    required: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  sha256: {
+    type: String
+  },
+  // Which backend in utils/storage.js holds the file, and its key there
+  storage: {
+    type: String,
+    enum: ['disk', 'gridfs'],
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Deleted by the owner but still attached to applications
+  deletedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+resumeSchema.index({ user: 1, deletedAt: 1, createdAt: -1 });
+
+// Metadata safe to return to clients
+resumeSchema.methods.toSummary = function() {
+  return {
+    _id: this._id,
+    name: this.name,
+    filename: this.filename,
+    contentType: this.contentType,
+    size: this.size,
+    isDefault: this.isDefault,
+    createdAt: this.createdAt,
+    downloadUrl: `/api/resumes/${this._id}/download`
+  };
+};
+
+module.exports = mongoose.model('Resume', resumeSchema);
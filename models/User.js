@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { HANDLE_PATTERN } = require('../utils/publicProfile');
+
+const visibilitySetting = {
+  type: String,
+  enum: ['public', 'connections', 'only_me']
+};
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -19,6 +25,74 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  // Vanity handle for the public profile page, e.g. /u/jane-doe
+  handle: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: HANDLE_PATTERN
+  },
+  role: {
+    type: String,
+    enum: ['user', 'recruiter', 'moderator', 'admin'],
+    default: 'user'
+  },
+  // Set by moderators; no suspendedUntil means suspended until lifted
+  suspension: {
+    suspendedAt: Date,
+    suspendedUntil: Date,
+    reason: String,
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // Brute-force protection
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date
+  },
+  // TOTP two-factor authentication. Secrets are never selected by default.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Generated by setup, becomes the secret once a code is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused one-time recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted TOTP time step, so a code can't be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
   bio: {
     type: String,
     default: '',
@@ -70,6 +144,22 @@ const userSchema = new mongoose.Schema({
     enum: ['', 'metamask', 'phantom'],
     default: ''
   },
+  // Wallets proven by a signed sign-in message
+  wallets: [{
+    address: {
+      type: String,
+      required: true
+    },
+    chain: {
+      type: String,
+      enum: ['ethereum', 'solana'],
+      required: true
+    },
+    verifiedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   location: {
     type: String,
     default: ''
@@ -102,6 +192,47 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Who can see each group of profile fields. Unset means the default in
+  // utils/privacy.js.
+  privacy: {
+    email: visibilitySetting,
+    phone: visibilitySetting,
+    address: visibilitySetting,
+    walletAddress: visibilitySetting,
+    location: visibilitySetting,
+    links: visibilitySetting,
+    experience: visibilitySetting,
+    education: visibilitySetting,
+    connections: visibilitySetting,
+    resume: visibilitySetting
+  },
+  openToWork: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // 'recruiters' shows the flag only to users with the recruiter role
+    visibility: {
+      type: String,
+      enum: ['public', 'recruiters'],
+      default: 'public'
+    },
+    roles: [{
+      type: String,
+      trim: true
+    }],
+    updatedAt: Date
+  },
+  // Blocking hides both users from each other; muting only hides the muted
+  // user's posts and notifications
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  mutedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   savedJobs: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Job'
@@ -117,7 +248,7 @@ const userSchema = new mongoose.Schema({
     },
     status: {
       type: String,
-      enum: ['pending', 'reviewed', 'shortlisted', 'rejected'],
+      enum: ['pending', 'reviewed', 'shortlisted', 'hired', 'rejected'],
       default: 'pending'
     },
     coverLetter: {
@@ -129,6 +260,11 @@ const userSchema = new mongoose.Schema({
     filename: String,
     url: String,
     uploadedAt: Date,
+    // Stored file this profile resume was parsed from
+    version: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Resume'
+    },
     parsed: {
       skills: [String],
       experience: [{
@@ -148,16 +284,6 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
-  viewedBy: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    viewedAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
   isPremium: {
     type: Boolean,
     default: false
@@ -165,6 +291,17 @@ const userSchema = new mongoose.Schema({
   premiumExpiresAt: {
     type: Date
   },
+  premiumExpiryNotifiedAt: {
+    type: Date,
+    default: null
+  },
+  aiUsage: {
+    day: String,
+    count: {
+      type: Number,
+      default: 0
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -175,6 +312,11 @@ const userSchema = new mongoose.Schema({
   }
 });
 
+userSchema.index({ 'wallets.address': 1 });
+userSchema.index({ handle: 1 }, { unique: true, sparse: true });
+userSchema.index({ blockedUsers: 1 });
+userSchema.index({ 'openToWork.enabled': 1 });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -193,6 +335,48 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Grant premium for a number of months. Renewals extend from the current
+// expiry rather than from today.
+userSchema.statics.extendPremium = async function(userId, months) {
+  const user = await this.findById(userId).select('premiumExpiresAt');
+  if (!user) {
+    return null;
+  }
+
+  const now = new Date();
+  const expiresAt = user.premiumExpiresAt > now ? new Date(user.premiumExpiresAt) : now;
+  expiresAt.setMonth(expiresAt.getMonth() + months);
+
+  return this.findByIdAndUpdate(userId, {
+    isPremium: true,
+    premiumExpiresAt: expiresAt,
+    premiumExpiryNotifiedAt: null
+  }, { new: true }).select('-password');
+};
+
+// Take back months granted by extendPremium, e.g. for a refunded payment.
+// Premium ends outright when nothing is left.
+userSchema.statics.shortenPremium = async function(userId, months) {
+  const user = await this.findById(userId).select('premiumExpiresAt');
+  if (!user || !user.premiumExpiresAt) {
+    return null;
+  }
+
+  const expiresAt = new Date(user.premiumExpiresAt);
+  expiresAt.setMonth(expiresAt.getMonth() - months);
+  const active = expiresAt > new Date();
+
+  return this.findByIdAndUpdate(userId, {
+    isPremium: active,
+    premiumExpiresAt: active ? expiresAt : null
+  }, { new: true }).select('-password');
+};
+
+userSchema.methods.isSuspended = function() {
+  const { suspendedAt, suspendedUntil } = this.suspension || {};
+  return !!suspendedAt && (!suspendedUntil || suspendedUntil > new Date());
+};
+
 // Update timestamp on save
 userSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Single-use tokens sent by email (password reset, email verification).
+// Only a hash of the token is stored.
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['password_reset', 'email_verification'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+userTokenSchema.index({ user: 1, type: 1, createdAt: -1 });
+
+// Let MongoDB remove expired tokens
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
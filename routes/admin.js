@@ -0,0 +1,559 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const Post = require('../models/Post');
+const Payment = require('../models/Payment');
+const Milestone = require('../models/Milestone');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const authMiddleware = require('../middleware/auth');
+const { authorize } = require('../middleware/auth');
+const { PAYOUTS, resolveDispute } = require('../utils/escrow');
+const { revertPaymentEffects } = require('../workers/paymentConfirmer');
+
+const ROLES = User.schema.path('role').enumValues;
+const MAX_PREMIUM_GRANT_MONTHS = 36;
+
+const isStaff = [authMiddleware, authorize('moderator', 'admin')];
+const isAdmin = [authMiddleware, authorize('admin')];
+
+// Write an audit log entry for an admin action
+const audit = (req, action, targetType, targetId, details = {}) => AuditLog.create({
+  actor: req.userId,
+  action,
+  targetType,
+  targetId,
+  details,
+  ip: req.ip || ''
+});
+
+const getPaging = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date) ? null : date;
+};
+
+// List users (?q=, ?role=, ?suspended=true)
+router.get('/users', isStaff, async (req, res) => {
+  try {
+    const { q, role, suspended } = req.query;
+    const { page, limit, skip } = getPaging(req.query);
+    const query = {};
+
+    if (q) {
+      const pattern = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (role) {
+      query.role = role;
+    }
+    if (suspended === 'true') {
+      query['suspension.suspendedAt'] = { $ne: null };
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select('name email role isPremium premiumExpiresAt emailVerified suspension createdAt')
+        .sort('-createdAt')
+        .skip(skip)
+        .limit(limit),
+      User.countDocuments(query)
+    ]);
+
+    res.json({
+      users,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Suspend a user, optionally for a number of days, and log them out everywhere
+router.post('/users/:id/suspend', isStaff, async (req, res) => {
+  try {
+    const { reason, days } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required' });
+    }
+    if (days !== undefined && !(parseInt(days) > 0)) {
+      return res.status(400).json({ error: 'Days must be a positive number' });
+    }
+
+    if (req.params.id === req.userId.toString()) {
+      return res.status(400).json({ error: 'You cannot suspend yourself' });
+    }
+
+    const user = await User.findById(req.params.id).select('role');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Moderators can only act on regular accounts
+    if (req.user.role !== 'admin' && ['moderator', 'admin'].includes(user.role)) {
+      return res.status(403).json({ error: 'Only admins can suspend staff accounts' });
+    }
+
+    const suspendedUntil = days ? new Date(Date.now() + parseInt(days) * 24 * 60 * 60 * 1000) : undefined;
+
+    user.suspension = {
+      suspendedAt: new Date(),
+      suspendedUntil,
+      reason,
+      suspendedBy: req.userId
+    };
+    await user.save();
+    await Session.revokeAll(user._id);
+
+    await audit(req, 'user.suspend', 'user', user._id, { reason, suspendedUntil });
+
+    res.json({ message: 'User suspended', suspension: user.suspension });
+  } catch (error) {
+    console.error('Admin suspend user error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Lift a suspension
+router.post('/users/:id/unsuspend', isStaff, async (req, res) => {
+  try {
+    const target = await User.findById(req.params.id).select('role');
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Same rule as suspending: moderators can only act on regular accounts
+    if (req.user.role !== 'admin' && ['moderator', 'admin'].includes(target.role)) {
+      return res.status(403).json({ error: 'Only admins can lift suspensions on staff accounts' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      target._id,
+      { $unset: { suspension: 1 } }
+    ).select('suspension');
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await audit(req, 'user.unsuspend', 'user', user._id, { previous: user.suspension });
+
+    res.json({ message: 'Suspension lifted' });
+  } catch (error) {
+    console.error('Admin unsuspend user error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Change a user's role
+router.put('/users/:id/role', isAdmin, async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (req.params.id === req.userId.toString()) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    const user = await User.findById(req.params.id).select('role');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const previous = user.role;
+    user.role = role;
+    await user.save();
+
+    await audit(req, 'user.role', 'user', user._id, { from: previous, to: role });
+
+    res.json({ message: 'Role updated', role });
+  } catch (error) {
+    console.error('Admin update role error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Grant premium for a number of months without a payment
+router.post('/users/:id/premium', isAdmin, async (req, res) => {
+  try {
+    const months = parseInt(req.body.months);
+    const { reason } = req.body;
+
+    if (!(months >= 1 && months <= MAX_PREMIUM_GRANT_MONTHS)) {
+      return res.status(400).json({ error: `Months must be between 1 and ${MAX_PREMIUM_GRANT_MONTHS}` });
+    }
+
+    const user = await User.extendPremium(req.params.id, months);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await audit(req, 'user.premium_grant', 'user', user._id, {
+      months,
+      reason,
+      premiumExpiresAt: user.premiumExpiresAt
+    });
+
+    res.json({
+      message: 'Premium granted',
+      isPremium: user.isPremium,
+      premiumExpiresAt: user.premiumExpiresAt
+    });
+  } catch (error) {
+    console.error('Admin grant premium error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Revoke premium immediately
+router.delete('/users/:id/premium', isAdmin, async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(req.params.id, {
+      isPremium: false,
+      premiumExpiresAt: null
+    }).select('premiumExpiresAt');
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await audit(req, 'user.premium_revoke', 'user', user._id, {
+      reason: req.body.reason,
+      previousExpiresAt: user.premiumExpiresAt
+    });
+
+    res.json({ message: 'Premium revoked' });
+  } catch (error) {
+    console.error('Admin revoke premium error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Force-close a job
+router.post('/jobs/:id/close', isStaff, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required' });
+    }
+
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const previousStatus = job.status;
+    job.status = 'closed';
+    job.updatedAt = Date.now();
+    await job.save();
+
+    await audit(req, 'job.close', 'job', job._id, { reason, previousStatus, title: job.title });
+
+    res.json({ message: 'Job closed', job });
+  } catch (error) {
+    console.error('Admin close job error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete a post; the content is kept in the audit log
+router.delete('/posts/:id', isStaff, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required' });
+    }
+
+    const post = await Post.findByIdAndDelete(req.params.id);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    await audit(req, 'post.delete', 'post', post._id, {
+      reason,
+      author: post.author,
+      content: post.content
+    });
+
+    res.json({ message: 'Post deleted' });
+  } catch (error) {
+    console.error('Admin delete post error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// List all payments (?status=, ?purpose=, ?user=, ?blockchain=)
+router.get('/payments', isAdmin, async (req, res) => {
+  try {
+    const { status, purpose, user, blockchain } = req.query;
+    const { page, limit, skip } = getPaging(req.query);
+    const query = {};
+
+    if (status) query.status = status;
+    if (purpose) query.purpose = purpose;
+    if (blockchain) query.blockchain = blockchain;
+    if (user) {
+      if (!mongoose.Types.ObjectId.isValid(user)) {
+        return res.status(400).json({ error: 'Invalid user id' });
+      }
+      query.user = user;
+    }
+
+    const [payments, total] = await Promise.all([
+      Payment.find(query)
+        .populate('user', 'name email')
+        .populate('relatedJobId', 'title company')
+        .sort('-createdAt')
+        .skip(skip)
+        .limit(limit),
+      Payment.countDocuments(query)
+    ]);
+
+    res.json({
+      payments,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Admin list payments error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Revenue from confirmed payments per currency and purpose (?from=, ?to=)
+router.get('/payments/revenue', isAdmin, async (req, res) => {
+  try {
+    const match = { status: 'confirmed' };
+
+    if (req.query.from || req.query.to) {
+      match.confirmedAt = {};
+
+      if (req.query.from) {
+        const from = parseDate(req.query.from);
+        if (!from) {
+          return res.status(400).json({ error: 'Invalid from date' });
+        }
+        match.confirmedAt.$gte = from;
+      }
+
+      if (req.query.to) {
+        const to = parseDate(req.query.to);
+        if (!to) {
+          return res.status(400).json({ error: 'Invalid to date' });
+        }
+        // Include the whole end day
+        to.setUTCHours(23, 59, 59, 999);
+        match.confirmedAt.$lte = to;
+      }
+    }
+
+    const [byCurrency, byPurpose] = await Promise.all([
+      Payment.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: { blockchain: '$blockchain', currency: '$currency' },
+            amount: { $sum: '$amount' },
+            usd: { $sum: { $ifNull: ['$fiatValue', 0] } },
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { usd: -1 } }
+      ]),
+      Payment.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$purpose',
+            usd: { $sum: { $ifNull: ['$fiatValue', 0] } },
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { usd: -1 } }
+      ])
+    ]);
+
+    const round = (value) => Math.round(value * 100) / 100;
+
+    res.json({
+      totalUsd: round(byCurrency.reduce((sum, row) => sum + row.usd, 0)),
+      totalPayments: byCurrency.reduce((sum, row) => sum + row.count, 0),
+      byCurrency: byCurrency.map(row => ({
+        blockchain: row._id.blockchain,
+        currency: row._id.currency,
+        amount: row.amount,
+        usd: round(row.usd),
+        count: row.count
+      })),
+      byPurpose: byPurpose.map(row => ({
+        purpose: row._id,
+        usd: round(row.usd),
+        count: row.count
+      }))
+    });
+  } catch (error) {
+    console.error('Admin revenue error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Record a refund that was sent back to the payer on-chain
+router.post('/payments/:id/refund', isAdmin, async (req, res) => {
+  try {
+    const { transactionHash, reason } = req.body;
+
+    if (!transactionHash || !reason) {
+      return res.status(400).json({ error: 'Refund transaction hash and reason are required' });
+    }
+
+    const payment = await Payment.findOneAndUpdate(
+      { _id: req.params.id, status: 'confirmed' },
+      {
+        status: 'refunded',
+        refund: {
+          transactionHash,
+          reason,
+          refundedAt: new Date(),
+          refundedBy: req.userId
+        }
+      },
+      { new: true }
+    );
+
+    if (!payment) {
+      return res.status(404).json({ error: 'Confirmed payment not found' });
+    }
+
+    // Only the request that moved the payment to refunded gets here, so the
+    // effects are taken back once
+    const reverted = await revertPaymentEffects(payment);
+
+    await audit(req, 'payment.refund', 'payment', payment._id, {
+      transactionHash,
+      reason,
+      amount: payment.amount,
+      currency: payment.currency,
+      purpose: payment.purpose,
+      reverted
+    });
+
+    res.json({ message: 'Refund recorded', payment, reverted });
+  } catch (error) {
+    console.error('Admin refund payment error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// List disputed milestones waiting for a decision
+router.get('/milestones/disputed', isAdmin, async (req, res) => {
+  try {
+    const milestones = await Milestone.find({ status: 'disputed' })
+      .populate('job', 'title company')
+      .populate('poster', 'name email')
+      .populate('freelancer', 'name email')
+      .sort('dispute.disputedAt');
+
+    res.json({ milestones });
+  } catch (error) {
+    console.error('Admin list disputes error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Decide a milestone dispute: release the funds to the freelancer or
+// refund the poster
+router.post('/milestones/:id/resolve', isAdmin, async (req, res) => {
+  try {
+    const { outcome, note } = req.body;
+
+    if (!PAYOUTS[outcome]) {
+      return res.status(400).json({ error: 'Outcome must be release or refund' });
+    }
+    if (!note) {
+      return res.status(400).json({ error: 'A note explaining the decision is required' });
+    }
+
+    const milestone = await Milestone.findById(req.params.id);
+    if (!milestone) {
+      return res.status(404).json({ error: 'Milestone not found' });
+    }
+
+    const result = await resolveDispute(milestone, { outcome, note, resolvedBy: req.userId });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    const paid = result.milestone;
+    const payout = paid[outcome];
+
+    await audit(req, 'milestone.resolve', 'milestone', paid._id, {
+      outcome,
+      note,
+      amount: paid.amount,
+      currency: paid.currency,
+      toAddress: payout.toAddress,
+      transactionHash: payout.transactionHash,
+      succeeded: paid.status === PAYOUTS[outcome].done
+    });
+
+    if (paid.status !== PAYOUTS[outcome].done) {
+      return res.status(502).json({ error: 'Payout transaction failed on-chain', milestone: paid });
+    }
+
+    res.json({ message: 'Dispute resolved', milestone: paid });
+  } catch (error) {
+    console.error('Admin resolve dispute error:', error);
+    res.status(500).json({ error: 'Failed to resolve dispute' });
+  }
+});
+
+// Browse the audit log (?actor=, ?action=, ?targetType=, ?targetId=)
+router.get('/audit-log', isAdmin, async (req, res) => {
+  try {
+    const { actor, action, targetType, targetId } = req.query;
+    const { page, limit, skip } = getPaging(req.query);
+    const query = {};
+
+    for (const [field, value] of [['actor', actor], ['targetId', targetId]]) {
+      if (value) {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          return res.status(400).json({ error: `Invalid ${field}` });
+        }
+        query[field] = value;
+      }
+    }
+    if (action) query.action = action;
+    if (targetType) query.targetType = targetType;
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate('actor', 'name email role')
+        .sort('-createdAt')
+        .skip(skip)
+        .limit(limit),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.json({
+      entries,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Admin audit log error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
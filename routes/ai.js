@@ -4,6 +4,12 @@ const axios = require('axios');
 const Job = require('../models/Job');
 const User = require('../models/User');
 const authMiddleware = require('../middleware/auth');
+const { limitAiCalls } = require('../middleware/premium');
+const { rateLimit } = require('../middleware/rateLimit');
+const { serializeUsers, serializeRef } = require('../utils/privacy');
+const { getEndorsementCounts, getEndorsedSkills } = require('../utils/endorsements');
+
+const aiLimiter = rateLimit('ai');
 
 // OpenRouter AI configuration
 const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
@@ -41,7 +47,7 @@ async function callOpenRouterAPI(prompt) {
 }
 
 // Extract skills from text (bio/resume)
-router.post('/extract-skills', authMiddleware, async (req, res) => {
+router.post('/extract-skills', authMiddleware, aiLimiter, limitAiCalls, async (req, res) => {
   try {
     const { text } = req.body;
 
@@ -87,7 +93,7 @@ Text: ${text}`;
 });
 
 // Job matching - Get match score between user and job
-router.post('/job-match', authMiddleware, async (req, res) => {
+router.post('/job-match', authMiddleware, aiLimiter, limitAiCalls, async (req, res) => {
   try {
     const { jobId } = req.body;
 
@@ -253,31 +259,43 @@ router.get('/recommended-jobs', authMiddleware, async (req, res) => {
   try {
     const user = await User.findById(req.userId).select('skills bio location');
     
-    // Find jobs matching user's skills
-    const recommendedJobs = await Job.find({
-      status: 'active',
-      skills: { $in: user.skills }
-    })
-      .populate('postedBy', 'name email profilePicture')
-      .sort('-createdAt')
-      .limit(10);
+    // Find jobs matching user's skills, promoted ones first
+    const recommendedJobs = await Job.aggregate([
+      { $match: { status: 'active', skills: { $in: user.skills } } },
+      { $addFields: Job.promotionFields() },
+      { $sort: { isFeatured: -1, isBoosted: -1, createdAt: -1 } },
+      { $limit: 10 }
+    ]);
 
-    // Calculate simple match scores based on skill overlap
+    await Job.populate(recommendedJobs, { path: 'postedBy', select: 'name email profilePicture privacy' });
+
+    const skillCounts = (await getEndorsementCounts([req.userId])).get(req.userId.toString()) || {};
+
+    // Score on skill overlap. Each matching skill counts once, plus up to
+    // half again when connections have endorsed it (capped at 5 endorsements).
     const jobsWithScores = recommendedJobs.map(job => {
       const matchingSkills = job.skills.filter(skill => 
         user.skills.includes(skill)
       );
-      const matchScore = Math.round((matchingSkills.length / job.skills.length) * 100);
+      const endorsedSkills = getEndorsedSkills(matchingSkills, skillCounts);
+      const weight = matchingSkills.length +
+        endorsedSkills.reduce((sum, item) => sum + Math.min(item.count, 5) / 10, 0);
+      const matchScore = Math.min(100, Math.round((weight / job.skills.length) * 100));
       
       return {
-        ...job.toObject(),
+        ...serializeRef(job, 'postedBy', req.user),
         matchScore,
-        matchingSkills
+        matchingSkills,
+        endorsedSkills
       };
     });
 
-    // Sort by match score
-    jobsWithScores.sort((a, b) => b.matchScore - a.matchScore);
+    // Sort by promotion, then match score
+    jobsWithScores.sort((a, b) =>
+      (b.isFeatured - a.isFeatured) ||
+      (b.isBoosted - a.isBoosted) ||
+      (b.matchScore - a.matchScore)
+    );
 
     res.json({ jobs: jobsWithScores });
   } catch (error) {
@@ -287,7 +305,7 @@ router.get('/recommended-jobs', authMiddleware, async (req, res) => {
 });
 
 // Get smart suggestions (connections, jobs, tips)
-router.get('/suggestions', authMiddleware, async (req, res) => {
+router.get('/suggestions', authMiddleware, aiLimiter, limitAiCalls, async (req, res) => {
   try {
     const user = await User.findById(req.userId)
       .select('skills bio location connections');
@@ -322,12 +340,12 @@ Return format: ["tip1", "tip2", "tip3"]`;
       _id: { $ne: req.userId, $nin: user.connections },
       skills: { $in: user.skills }
     })
-      .select('name email profilePicture skills bio')
+      .select('name email profilePicture skills bio privacy')
       .limit(5);
 
     res.json({
       careerTips: suggestions.slice(0, 3),
-      suggestedConnections: similarUsers
+      suggestedConnections: serializeUsers(similarUsers, req.user)
     });
   } catch (error) {
     console.error('Suggestions error:', error);
@@ -336,7 +354,7 @@ Return format: ["tip1", "tip2", "tip3"]`;
 });
 
 // Enhance job description with AI
-router.post('/enhance-job-description', authMiddleware, async (req, res) => {
+router.post('/enhance-job-description', authMiddleware, aiLimiter, limitAiCalls, async (req, res) => {
   try {
     const { title, description } = req.body;
 
@@ -359,7 +377,7 @@ Current Description: ${description}`;
 });
 
 // Generate cover letter
-router.post('/generate-cover-letter', authMiddleware, async (req, res) => {
+router.post('/generate-cover-letter', authMiddleware, aiLimiter, limitAiCalls, async (req, res) => {
   try {
     const { jobId } = req.body;
 
@@ -1,11 +1,114 @@
 const express = require('express');
 const router = express.Router();
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const authMiddleware = require('../middleware/auth');
+const { getPlan, getEntitlements } = require('../utils/entitlements');
+const { normalizeAddress, createNonce, verifySignIn } = require('../utils/walletAuth');
+const { createSession, rotateSession } = require('../utils/sessions');
+const { issueUserToken, consumeUserToken } = require('../utils/userTokens');
+const { sendMail } = require('../utils/mailer');
+const UserToken = require('../models/UserToken');
+const { generateSecret, verifyCode, provisioningUri } = require('../utils/totp');
+const { isLocked, registerFailedLogin, clearFailedLogins } = require('../utils/loginLockout');
+const { rateLimit } = require('../middleware/rateLimit');
+
+const authLimiter = rateLimit('auth');
+const sessionLimiter = rateLimit('session');
+
+const WALLET_TYPES = {
+  ethereum: 'metamask',
+  solana: 'phantom'
+};
+
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Finish a successful first-factor login: hand out tokens, or with 2FA on a
+// short-lived challenge token to exchange at /login/2fa together with a code
+const respondWithLogin = async (req, res, user, { twoFactorPassed = false } = {}) => {
+  if (user.isSuspended()) {
+    return res.status(403).json({ error: 'Account suspended', suspendedUntil: user.suspension.suspendedUntil });
+  }
+
+  if (user.twoFactor && user.twoFactor.enabled && !twoFactorPassed) {
+    const challengeToken = jwt.sign(
+      { userId: user._id, purpose: '2fa' },
+      process.env.JWT_SECRET,
+      { expiresIn: '5m' }
+    );
+
+    return res.json({
+      message: 'Two-factor authentication code required',
+      twoFactorRequired: true,
+      challengeToken
+    });
+  }
+
+  // Start a session with a short-lived JWT and a refresh token
+  const { token, refreshToken } = await createSession(user, req);
+
+  res.json({
+    message: 'Login successful',
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      bio: user.bio,
+      skills: user.skills,
+      walletAddress: user.walletAddress,
+      walletType: user.walletType,
+      isPremium: user.isPremium,
+      emailVerified: user.emailVerified,
+      role: user.role
+    }
+  });
+};
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+const generateRecoveryCodes = () => Array.from({ length: 10 }, () => {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+});
+
+// Check a TOTP code or a one-time recovery code for a user loaded with
+// TWO_FACTOR_SECRET_FIELDS. Marks the code used; the caller saves the user.
+const checkSecondFactor = (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const index = user.twoFactor.recoveryCodes.indexOf(hash);
+    if (index === -1) return false;
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  const step = verifyCode(user.twoFactor.secret, code, { afterStep: user.twoFactor.lastUsedStep ?? -1 });
+  if (step === null) return false;
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueUserToken(user._id, 'email_verification');
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${frontendUrl()}/verify-email?token=${token}\n\nThe link expires in 24 hours.`
+  });
+};
 
 // Register
-router.post('/register', async (req, res) => {
+router.post('/register', authLimiter, async (req, res) => {
   try {
     const { name, email, password } = req.body;
 
@@ -33,23 +136,24 @@ router.post('/register', async (req, res) => {
 
     await user.save();
 
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    await sendVerificationEmail(user);
+
+    // Start a session with a short-lived JWT and a refresh token
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your account.',
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         bio: user.bio,
         skills: user.skills,
-        walletAddress: user.walletAddress
+        walletAddress: user.walletAddress,
+        emailVerified: user.emailVerified,
+        role: user.role
       }
     });
   } catch (error) {
@@ -59,7 +163,7 @@ router.post('/register', async (req, res) => {
 });
 
 // Login
-router.post('/login', async (req, res) => {
+router.post('/login', authLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -74,36 +178,539 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    if (isLocked(user)) {
+      return res.status(423).json({
+        error: 'Account temporarily locked after too many failed login attempts',
+        lockedUntil: user.lockUntil
+      });
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      const lockedUntil = await registerFailedLogin(user, req);
+      if (lockedUntil) {
+        return res.status(423).json({
+          error: 'Account temporarily locked after too many failed login attempts',
+          lockedUntil
+        });
+      }
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
+    // With 2FA on, the counters are cleared once the second factor passes
+    if (!user.twoFactor.enabled) {
+      await clearFailedLogins(user);
+    }
+
+    await respondWithLogin(req, res, user);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Server error during login' });
+  }
+});
+
+// Complete a login with a two-factor code (or a recovery code)
+router.post('/login/2fa', authLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'Challenge token and code are required' });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      return res.status(401).json({ error: 'Login challenge has expired, please log in again' });
+    }
+
+    if (decoded.purpose !== '2fa') {
+      return res.status(401).json({ error: 'Invalid login challenge' });
+    }
+
+    const user = await User.findById(decoded.userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({ error: 'Invalid login challenge' });
+    }
+
+    if (isLocked(user)) {
+      return res.status(423).json({
+        error: 'Account temporarily locked after too many failed login attempts',
+        lockedUntil: user.lockUntil
+      });
+    }
+
+    if (!checkSecondFactor(user, { code, recoveryCode })) {
+      await registerFailedLogin(user, req);
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+
+    await user.save();
+    await clearFailedLogins(user);
+
+    await respondWithLogin(req, res, user, { twoFactorPassed: true });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Server error during login' });
+  }
+});
+
+// Get a nonce to embed in a wallet sign-in message
+router.get('/nonce', authLimiter, async (req, res) => {
+  try {
+    const { chain = 'ethereum' } = req.query;
+
+    if (!WALLET_TYPES[chain]) {
+      return res.status(400).json({ error: 'Chain must be ethereum or solana' });
+    }
+
+    const address = normalizeAddress(req.query.address, chain);
+    if (!address) {
+      return res.status(400).json({ error: 'A valid wallet address is required' });
+    }
+
+    const nonce = await createNonce(address, chain);
+
+    res.json({ nonce, address, chain });
+  } catch (error) {
+    console.error('Get nonce error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Login with a signed wallet message (SIWE for MetaMask, ed25519 for Phantom)
+router.post('/wallet-login', authLimiter, async (req, res) => {
+  try {
+    const result = await verifySignIn(req.body);
+    if (result.error) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    const user = await User.findOne({ 'wallets.address': result.address });
+    if (!user) {
+      return res.status(404).json({ error: 'No account is linked to this wallet. Log in with your email and link it first.' });
+    }
+
+    await respondWithLogin(req, res, user);
+  } catch (error) {
+    console.error('Wallet login error:', error);
+    res.status(500).json({ error: 'Server error during login' });
+  }
+});
+
+// Link a verified wallet to the current account
+router.post('/wallets', authMiddleware, async (req, res) => {
+  try {
+    const result = await verifySignIn(req.body);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    const owner = await User.findOne({ 'wallets.address': result.address }).select('_id');
+    if (owner && owner._id.toString() !== req.userId) {
+      return res.status(400).json({ error: 'This wallet is linked to another account' });
+    }
+
+    const user = await User.findById(req.userId);
+
+    if (!owner) {
+      user.wallets.push({ address: result.address, chain: result.chain, verifiedAt: new Date() });
+    }
+
+    // The first linked wallet becomes the payment wallet
+    if (!user.walletAddress) {
+      user.walletAddress = result.address;
+      user.walletType = WALLET_TYPES[result.chain];
+    }
+
+    await user.save();
+
+    res.json({
+      message: 'Wallet linked successfully',
+      wallets: user.wallets,
+      walletAddress: user.walletAddress,
+      walletType: user.walletType
+    });
+  } catch (error) {
+    console.error('Link wallet error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Unlink a wallet from the current account
+router.delete('/wallets/:address', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    const wallet = user.wallets.find(w => w.address.toLowerCase() === req.params.address.toLowerCase());
+    if (!wallet) {
+      return res.status(404).json({ error: 'Wallet not found' });
+    }
+
+    user.wallets.pull(wallet._id);
+
+    // Fall back to another verified wallet for payments
+    if (user.walletAddress === wallet.address) {
+      const next = user.wallets[0];
+      user.walletAddress = next ? next.address : '';
+      user.walletType = next ? WALLET_TYPES[next.chain] : '';
+    }
+
+    await user.save();
+
+    res.json({
+      message: 'Wallet unlinked successfully',
+      wallets: user.wallets,
+      walletAddress: user.walletAddress,
+      walletType: user.walletType
+    });
+  } catch (error) {
+    console.error('Unlink wallet error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Exchange a refresh token for new tokens
+router.post('/refresh', sessionLimiter, async (req, res) => {
+  try {
+    const result = await rotateSession(req.body.refreshToken, req);
+    if (result.error) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Logout (revokes the current session)
+router.post('/logout', authMiddleware, sessionLimiter, async (req, res) => {
+  try {
+    await Session.findByIdAndUpdate(req.sessionId, { revokedAt: new Date() });
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// List active sessions
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('userAgent ip createdAt lastUsedAt expiresAt')
+      .sort('-lastUsedAt');
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session.toObject(),
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Revoke a session
+router.delete('/sessions/:id', authMiddleware, async (req, res) => {
+  try {
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, user: req.userId, revokedAt: null },
+      { revokedAt: new Date() }
     );
 
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Change password (revokes all sessions)
+router.put('/password', authMiddleware, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current and new password are required' });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    }
+
+    const user = await User.findById(req.userId);
+
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Log out every device, then keep this one signed in with a new session
+    await Session.revokeAll(user._id);
+    const { token, refreshToken } = await createSession(user, req);
+
     res.json({
-      message: 'Login successful',
+      message: 'Password changed successfully. All other sessions have been logged out.',
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        bio: user.bio,
-        skills: user.skills,
-        walletAddress: user.walletAddress,
-        walletType: user.walletType,
-        isPremium: user.isPremium
-      }
+      refreshToken
     });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Server error during login' });
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Request a password reset email
+router.post('/forgot-password', authLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+
+    if (user) {
+      const token = await issueUserToken(user._id, 'password_reset');
+
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.name},\n\nYou can set a new password by opening this link:\n${frontendUrl()}/reset-password?token=${token}\n\nThe link expires in 1 hour. If you didn't ask for this, you can ignore this email.`
+      });
+    }
+
+    // Same answer either way, so the endpoint can't be used to probe for accounts
+    res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Reset password with an emailed token (revokes all sessions)
+router.post('/reset-password', authLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and new password are required' });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    }
+
+    const resetToken = await consumeUserToken(token, 'password_reset');
+    if (!resetToken) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    const user = await User.findById(resetToken.user);
+    if (!user) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = password;
+    // Receiving the reset email proves the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await Session.revokeAll(user._id);
+
+    res.json({ message: 'Password reset successfully. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Verify email address with an emailed token
+router.post('/verify-email', authLimiter, async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Token is required' });
+    }
+
+    const verificationToken = await consumeUserToken(token, 'email_verification');
+    if (!verificationToken) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+
+    await User.findByIdAndUpdate(verificationToken.user, {
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    });
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Resend the verification email
+router.post('/resend-verification', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    const lastToken = await UserToken.findOne({ user: req.userId, type: 'email_verification' })
+      .sort('-createdAt');
+    if (lastToken && Date.now() - lastToken.createdAt.getTime() < RESEND_COOLDOWN_MS) {
+      return res.status(429).json({ error: 'Please wait a minute before requesting another email' });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Start two-factor enrollment
+router.post('/2fa/setup', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUrl: provisioningUri(secret, user.email, process.env.TOTP_ISSUER || 'Job Portal')
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Confirm enrollment with a code from the authenticator app
+router.post('/2fa/confirm', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid two-factor code' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe, they are only shown once.',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Two-factor confirm error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Generate a fresh set of recovery codes
+router.post('/2fa/recovery-codes', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!checkSecondFactor(user, { code: req.body.code })) {
+      return res.status(400).json({ error: 'Invalid two-factor code' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Disable two-factor authentication (needs password and a code)
+router.post('/2fa/disable', authMiddleware, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'Password and code are required' });
+    }
+
+    const user = await User.findById(req.userId).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch || !checkSecondFactor(user, { code, recoveryCode })) {
+      return res.status(401).json({ error: 'Invalid password or code' });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
@@ -111,7 +718,11 @@ router.post('/login', async (req, res) => {
 router.get('/me', authMiddleware, async (req, res) => {
   try {
     const user = await User.findById(req.userId).select('-password');
-    res.json({ user });
+    res.json({
+      user,
+      plan: getPlan(user),
+      entitlements: getEntitlements(user)
+    });
   } catch (error) {
     console.error('Get user error:', error);
     res.status(500).json({ error: 'Server error' });
@@ -0,0 +1,356 @@
+const express = require('express');
+const router = express.Router();
+const Milestone = require('../models/Milestone');
+const Payment = require('../models/Payment');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const authMiddleware = require('../middleware/auth');
+const { createNotification } = require('./notifications');
+const { verifyNativeTransfer, getConfirmations, normalizeTransactionHash } = require('../utils/evm');
+const { PAYOUTS, getEscrowAddress, payOutMilestone, resolveDispute } = require('../utils/escrow');
+const { getRequiredConfirmations } = require('../workers/paymentConfirmer');
+
+const CURRENCIES = {
+  ethereum: 'ETH',
+  polygon: 'MATIC'
+};
+
+// Create a milestone for a hired freelancer
+router.post('/jobs/:jobId/milestones', authMiddleware, async (req, res) => {
+  try {
+    const { freelancerId, title, description, blockchain = 'polygon' } = req.body;
+    const amount = parseFloat(req.body.amount);
+
+    if (!freelancerId || !title || !amount || amount <= 0) {
+      return res.status(400).json({ error: 'Freelancer, title and a positive amount are required' });
+    }
+
+    if (!CURRENCIES[blockchain]) {
+      return res.status(400).json({ error: 'Blockchain must be ethereum or polygon' });
+    }
+
+    const escrowAddress = getEscrowAddress();
+    if (!escrowAddress) {
+      return res.status(503).json({ error: 'Escrow is not available' });
+    }
+
+    const job = await Job.findOne({ _id: req.params.jobId, postedBy: req.userId });
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found or unauthorized' });
+    }
+
+    if (!['freelance', 'contract'].includes(job.jobType)) {
+      return res.status(400).json({ error: 'Escrow is only available for freelance and contract jobs' });
+    }
+
+    const applicant = job.applicants.find(app => app.userId.toString() === freelancerId);
+    if (!applicant || applicant.status !== 'hired') {
+      return res.status(400).json({ error: 'Milestones can only be created for a hired applicant' });
+    }
+
+    const milestone = new Milestone({
+      job: job._id,
+      poster: req.userId,
+      freelancer: freelancerId,
+      title,
+      description: description || '',
+      amount,
+      currency: CURRENCIES[blockchain],
+      blockchain,
+      escrowAddress
+    });
+
+    await milestone.save();
+
+    res.status(201).json({
+      message: 'Milestone created. Send the amount to the escrow address to fund it.',
+      milestone
+    });
+  } catch (error) {
+    console.error('Create milestone error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get milestones for a job (poster or freelancer)
+router.get('/jobs/:jobId/milestones', authMiddleware, async (req, res) => {
+  try {
+    const milestones = await Milestone.find({
+      job: req.params.jobId,
+      $or: [{ poster: req.userId }, { freelancer: req.userId }]
+    })
+      .populate('freelancer', 'name profilePicture walletAddress')
+      .sort('createdAt');
+
+    res.json({ milestones });
+  } catch (error) {
+    console.error('Get job milestones error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get all milestones the current user is part of
+router.get('/milestones', authMiddleware, async (req, res) => {
+  try {
+    const milestones = await Milestone.find({
+      $or: [{ poster: req.userId }, { freelancer: req.userId }]
+    })
+      .populate('job', 'title company')
+      .populate('poster', 'name profilePicture')
+      .populate('freelancer', 'name profilePicture')
+      .sort('-createdAt');
+
+    res.json({ milestones });
+  } catch (error) {
+    console.error('Get milestones error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get a single milestone
+router.get('/milestones/:id', authMiddleware, async (req, res) => {
+  try {
+    const milestone = await Milestone.findOne({
+      _id: req.params.id,
+      $or: [{ poster: req.userId }, { freelancer: req.userId }]
+    })
+      .populate('job', 'title company')
+      .populate('poster', 'name profilePicture')
+      .populate('freelancer', 'name profilePicture walletAddress');
+
+    if (!milestone) {
+      return res.status(404).json({ error: 'Milestone not found' });
+    }
+
+    res.json({ milestone });
+  } catch (error) {
+    console.error('Get milestone error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Fund a milestone by submitting the poster's transfer to escrow
+router.post('/milestones/:id/fund', authMiddleware, async (req, res) => {
+  try {
+    if (!req.body.transactionHash) {
+      return res.status(400).json({ error: 'Transaction hash is required' });
+    }
+
+    // Lowercased so the same transaction can't be recorded twice in another case
+    const transactionHash = normalizeTransactionHash(req.body.transactionHash);
+    if (!transactionHash) {
+      return res.status(400).json({ error: 'Invalid transaction hash' });
+    }
+
+    const milestone = await Milestone.findOne({ _id: req.params.id, poster: req.userId });
+    if (!milestone) {
+      return res.status(404).json({ error: 'Milestone not found or unauthorized' });
+    }
+
+    if (milestone.status !== 'awaiting_funding') {
+      return res.status(400).json({ error: 'Milestone is already funded' });
+    }
+
+    if (!req.user.walletAddress) {
+      return res.status(400).json({ error: 'Please connect your wallet before paying' });
+    }
+
+    // A transaction can only back one milestone or payment
+    const [usedByMilestone, usedByPayment] = await Promise.all([
+      Milestone.findOne({ 'funding.transactionHash': transactionHash }),
+      Payment.findOne({ transactionHash })
+    ]);
+    if (usedByMilestone || usedByPayment) {
+      return res.status(400).json({ error: 'Transaction already recorded' });
+    }
+
+    const result = await verifyNativeTransfer({
+      blockchain: milestone.blockchain,
+      transactionHash,
+      expectedFrom: req.user.walletAddress,
+      expectedTo: milestone.escrowAddress,
+      minAmount: milestone.amount
+    });
+
+    if (result.pending) {
+      return res.status(202).json({ message: 'Transaction not mined yet, please try again shortly' });
+    }
+
+    if (!result.verified) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    const confirmations = await getConfirmations(milestone.blockchain, result.details.blockNumber);
+    const requiredConfirmations = getRequiredConfirmations(milestone.blockchain);
+    if (confirmations < requiredConfirmations) {
+      return res.status(202).json({
+        message: 'Waiting for confirmations, please try again shortly',
+        confirmations,
+        requiredConfirmations
+      });
+    }
+
+    milestone.status = 'funded';
+    milestone.funding = {
+      transactionHash,
+      fromAddress: result.details.fromAddress,
+      blockNumber: result.details.blockNumber,
+      fundedAt: new Date()
+    };
+    await milestone.save();
+
+    await createNotification({
+      recipient: milestone.freelancer,
+      sender: req.userId,
+      type: 'milestone_funded',
+      job: milestone.job,
+      message: `Milestone "${milestone.title}" has been funded`
+    });
+
+    res.json({ message: 'Milestone funded successfully', milestone });
+  } catch (error) {
+    console.error('Fund milestone error:', error);
+    res.status(500).json({ error: 'Failed to verify funding' });
+  }
+});
+
+// Mark a funded milestone as delivered (freelancer)
+router.post('/milestones/:id/deliver', authMiddleware, async (req, res) => {
+  try {
+    const milestone = await Milestone.findOne({ _id: req.params.id, freelancer: req.userId });
+    if (!milestone) {
+      return res.status(404).json({ error: 'Milestone not found or unauthorized' });
+    }
+
+    if (milestone.status !== 'funded') {
+      return res.status(400).json({ error: 'Only funded milestones can be delivered' });
+    }
+
+    milestone.status = 'delivered';
+    milestone.delivery = {
+      note: req.body.note || '',
+      deliveredAt: new Date()
+    };
+    await milestone.save();
+
+    await createNotification({
+      recipient: milestone.poster,
+      sender: req.userId,
+      type: 'milestone_delivered',
+      job: milestone.job,
+      message: `Milestone "${milestone.title}" has been delivered`
+    });
+
+    res.json({ message: 'Milestone marked as delivered', milestone });
+  } catch (error) {
+    console.error('Deliver milestone error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Release escrowed funds to the freelancer (poster)
+router.post('/milestones/:id/release', authMiddleware, async (req, res) => {
+  try {
+    const milestone = await Milestone.findOne({ _id: req.params.id, poster: req.userId });
+    if (!milestone) {
+      return res.status(404).json({ error: 'Milestone not found or unauthorized' });
+    }
+
+    if (!['funded', 'delivered'].includes(milestone.status)) {
+      return res.status(400).json({ error: 'Only funded or delivered milestones can be released' });
+    }
+
+    const freelancer = await User.findById(milestone.freelancer).select('walletAddress walletType');
+    if (!freelancer || !freelancer.walletAddress || freelancer.walletType === 'phantom') {
+      return res.status(400).json({ error: 'The freelancer has not connected an Ethereum wallet yet' });
+    }
+
+    const released = await payOutMilestone(milestone, 'release', freelancer.walletAddress);
+    if (!released) {
+      return res.status(400).json({ error: 'Only funded or delivered milestones can be released' });
+    }
+
+    if (released.status !== 'released') {
+      return res.status(502).json({ error: 'Release transaction failed on-chain', milestone: released });
+    }
+
+    res.json({ message: 'Milestone released successfully', milestone: released });
+  } catch (error) {
+    console.error('Release milestone error:', error);
+    res.status(500).json({ error: 'Failed to release milestone' });
+  }
+});
+
+// Dispute a delivered milestone (poster)
+router.post('/milestones/:id/dispute', authMiddleware, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required' });
+    }
+
+    const milestone = await Milestone.findOne({ _id: req.params.id, poster: req.userId });
+    if (!milestone) {
+      return res.status(404).json({ error: 'Milestone not found or unauthorized' });
+    }
+
+    if (milestone.status !== 'delivered') {
+      return res.status(400).json({ error: 'Only delivered milestones can be disputed' });
+    }
+
+    milestone.status = 'disputed';
+    milestone.dispute = {
+      reason,
+      disputedAt: new Date()
+    };
+    await milestone.save();
+
+    await createNotification({
+      recipient: milestone.freelancer,
+      sender: req.userId,
+      type: 'milestone_disputed',
+      job: milestone.job,
+      message: `Milestone "${milestone.title}" has been disputed`
+    });
+
+    res.json({ message: 'Milestone disputed', milestone });
+  } catch (error) {
+    console.error('Dispute milestone error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Settle a disputed milestone. Either side can give way: the poster by
+// releasing the funds, the freelancer by agreeing to a refund. Deciding
+// against a party is left to admins (POST /api/admin/milestones/:id/resolve).
+router.post('/milestones/:id/resolve', authMiddleware, async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    const milestone = await Milestone.findOne({
+      _id: req.params.id,
+      $or: [{ poster: req.userId }, { freelancer: req.userId }]
+    });
+    if (!milestone) {
+      return res.status(404).json({ error: 'Milestone not found or unauthorized' });
+    }
+
+    const outcome = milestone.poster.toString() === req.userId ? 'release' : 'refund';
+    const result = await resolveDispute(milestone, { outcome, note, resolvedBy: req.userId });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    if (result.milestone.status !== PAYOUTS[outcome].done) {
+      return res.status(502).json({ error: 'Payout transaction failed on-chain', milestone: result.milestone });
+    }
+
+    res.json({ message: 'Dispute resolved', milestone: result.milestone });
+  } catch (error) {
+    console.error('Resolve milestone dispute error:', error);
+    res.status(500).json({ error: 'Failed to resolve dispute' });
+  }
+});
+
+module.exports = router;
@@ -3,8 +3,12 @@ const router = express.Router();
 const Job = require('../models/Job');
 const User = require('../models/User');
 const authMiddleware = require('../middleware/auth');
+const { requireVerifiedEmail } = require('../middleware/auth');
 const multer = require('multer');
 const { createNotification } = require('./notifications');
+const { serializeUser, serializeRef } = require('../utils/privacy');
+const { getEndorsementCounts, getEndorsedSkills } = require('../utils/endorsements');
+const { storeResume, findUsableResume } = require('../utils/resumes');
 
 // Configure multer for resume uploads
 const storage = multer.memoryStorage();
@@ -21,8 +25,29 @@ const upload = multer({
   }
 });
 
-// Create job (requires payment verification)
-router.post('/', authMiddleware, async (req, res) => {
+// Fields the public job list can be sorted by
+const SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'views', 'title', 'company', 'expiresAt', 'salary.min', 'salary.max', 'budget.min', 'budget.max'];
+const DEFAULT_SORT = { createdAt: -1 };
+
+// Convert a mongoose-style sort string ('-createdAt views') to a $sort object.
+// Unknown fields are dropped; anything unusable falls back to newest first.
+const parseSort = (sort) => {
+  if (typeof sort !== 'string') {
+    return DEFAULT_SORT;
+  }
+
+  const fields = {};
+  sort.split(/[\s,]+/).filter(Boolean).forEach(field => {
+    const name = field.startsWith('-') ? field.slice(1) : field;
+    if (SORTABLE_FIELDS.includes(name)) {
+      fields[name] = field.startsWith('-') ? -1 : 1;
+    }
+  });
+  return Object.keys(fields).length ? fields : DEFAULT_SORT;
+};
+
+// Create job (the posting fee is paid afterwards through a payment intent)
+router.post('/', authMiddleware, requireVerifiedEmail, async (req, res) => {
   try {
     const {
       title,
@@ -35,9 +60,7 @@ router.post('/', authMiddleware, async (req, res) => {
       budget,
       salary,
       experienceLevel,
-      tags,
-      transactionHash,
-      blockchain
+      tags
     } = req.body;
 
     // Validate required fields
@@ -59,16 +82,13 @@ router.post('/', authMiddleware, async (req, res) => {
       experienceLevel,
       tags: tags || [],
       postedBy: req.userId,
-      transactionHash: transactionHash || '',
-      blockchain: blockchain || '',
-      paymentVerified: !!transactionHash,
       expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days
     });
 
     await job.save();
 
     const populatedJob = await Job.findById(job._id)
-      .populate('postedBy', 'name email profilePicture company');
+      .populate('postedBy', 'name email profilePicture company privacy');
 
     // Notify all connections about the new job
     const poster = await User.findById(req.userId).select('connections');
@@ -87,7 +107,7 @@ router.post('/', authMiddleware, async (req, res) => {
 
     res.status(201).json({
       message: 'Job posted successfully',
-      job: populatedJob
+      job: serializeRef(populatedJob, 'postedBy', req.user)
     });
   } catch (error) {
     console.error('Create job error:', error);
@@ -171,16 +191,24 @@ router.get('/', async (req, res) => {
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const jobs = await Job.find(query)
-      .populate('postedBy', 'name email profilePicture')
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit));
+    // Active featured jobs come first, then boosted ones, then the requested order
+    const jobs = await Job.aggregate([
+      { $match: query },
+      { $addFields: Job.promotionFields() },
+      { $sort: { isFeatured: -1, isBoosted: -1, ...parseSort(sort) } },
+      { $skip: skip },
+      { $limit: parseInt(limit) },
+      // Public listing: count applicants, as GET /:jobId does, but never list them
+      { $addFields: { applicantsCount: { $size: { $ifNull: ['$applicants', []] } } } },
+      { $project: { applicants: 0 } }
+    ]);
+
+    await Job.populate(jobs, { path: 'postedBy', select: 'name email profilePicture privacy' });
 
     const total = await Job.countDocuments(query);
 
     res.json({
-      jobs,
+      jobs: jobs.map(job => serializeRef(job, 'postedBy', null)),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -198,8 +226,7 @@ router.get('/', async (req, res) => {
 router.get('/:jobId', async (req, res) => {
   try {
     const job = await Job.findById(req.params.jobId)
-      .populate('postedBy', 'name email profilePicture bio linkedinUrl')
-      .populate('applicants.userId', 'name email profilePicture skills');
+      .populate('postedBy', 'name email profilePicture bio linkedinUrl privacy');
 
     if (!job) {
       return res.status(404).json({ error: 'Job not found' });
@@ -209,17 +236,24 @@ router.get('/:jobId', async (req, res) => {
     job.views += 1;
     await job.save();
 
-    res.json({ job });
+    // This route is public, so applicants are only counted. Posters see them
+    // through /user/posted and /applications/received.
+    const result = serializeRef(job, 'postedBy', null);
+    result.applicantsCount = result.applicants.length;
+    delete result.applicants;
+
+    res.json({ job: result });
   } catch (error) {
     console.error('Get job error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Apply for job
+// Apply for job. Sends the uploaded file (stored as a new resume version),
+// the version given as resumeId, or the user's default resume.
 router.post('/:jobId/apply', authMiddleware, upload.single('resume'), async (req, res) => {
   try {
-    const { coverLetter } = req.body;
+    const { coverLetter, resumeId } = req.body;
     const job = await Job.findById(req.params.jobId);
 
     if (!job) {
@@ -235,28 +269,25 @@ router.post('/:jobId/apply', authMiddleware, upload.single('resume'), async (req
       return res.status(400).json({ error: 'Already applied to this job' });
     }
 
-    // Get user to check for existing resume
-    const user = await User.findById(req.userId);
-    
-    // If user uploaded a resume with application, store it
-    let applicationResume = null;
+    let resume;
     if (req.file) {
-      applicationResume = {
-        filename: req.file.originalname,
-        data: req.file.buffer,
-        contentType: req.file.mimetype,
-        uploadedAt: new Date()
-      };
-    } else if (!user.resume) {
-      // If no resume in profile and none uploaded, reject
-      return res.status(400).json({ error: 'Resume is required. Please upload a resume or add one to your profile.' });
+      const stored = await storeResume(req.userId, req.file, { name: `${job.title} application` });
+      if (stored.error) {
+        return res.status(400).json({ error: stored.error });
+      }
+      resume = stored.resume;
+    } else {
+      resume = await findUsableResume(req.userId, resumeId);
+      if (!resume) {
+        return res.status(400).json({ error: 'Resume is required. Please upload a resume or add one to your profile.' });
+      }
     }
 
     job.applicants.push({
       userId: req.userId,
       coverLetter: coverLetter || '',
       appliedAt: new Date(),
-      resume: applicationResume // Store resume if uploaded specifically for this job
+      resumeVersion: resume._id
     });
 
     await job.save();
@@ -279,7 +310,7 @@ router.post('/:jobId/apply', authMiddleware, upload.single('resume'), async (req
       }
     });
 
-    res.json({ message: 'Application submitted successfully' });
+    res.json({ message: 'Application submitted successfully', resume: resume.toSummary() });
   } catch (error) {
     console.error('Apply job error:', error);
     res.status(500).json({ error: 'Server error' });
@@ -305,9 +336,21 @@ router.get('/user/posted', authMiddleware, async (req, res) => {
   try {
     const jobs = await Job.find({ postedBy: req.userId })
       .sort('-createdAt')
-      .populate('applicants.userId', 'name email profilePicture skills');
+      .populate('applicants.userId', 'name email profilePicture skills privacy')
+      .populate('applicants.resumeVersion');
 
-    res.json({ jobs });
+    // Applying shares the applicant's connection-level profile with the poster
+    res.json({
+      jobs: jobs.map(job => {
+        const result = job.toObject();
+        result.applicants = job.applicants.map((applicant, i) => ({
+          ...result.applicants[i],
+          userId: serializeUser(applicant.userId, req.user, { asConnection: true }),
+          resumeVersion: applicant.resumeVersion ? applicant.resumeVersion.toSummary() : null
+        }));
+        return result;
+      })
+    });
   } catch (error) {
     console.error('Get posted jobs error:', error);
     res.status(500).json({ error: 'Server error' });
@@ -319,10 +362,10 @@ router.get('/user/saved', authMiddleware, async (req, res) => {
   try {
     const user = await User.findById(req.userId).populate({
       path: 'savedJobs',
-      populate: { path: 'postedBy', select: 'name email profilePicture' }
+      populate: { path: 'postedBy', select: 'name email profilePicture privacy' }
     });
 
-    res.json({ jobs: user.savedJobs });
+    res.json({ jobs: user.savedJobs.filter(Boolean).map(job => serializeRef(job, 'postedBy', req.user)) });
   } catch (error) {
     console.error('Get saved jobs error:', error);
     res.status(500).json({ error: 'Server error' });
@@ -403,19 +446,36 @@ router.delete('/:jobId', authMiddleware, async (req, res) => {
 });
 
 // Get applications for jobs posted by current user
+// (?sort=endorsements ranks applicants by endorsements on the job's skills)
 router.get('/applications/received', authMiddleware, async (req, res) => {
   try {
     const jobs = await Job.find({ postedBy: req.userId })
       .populate({
         path: 'applicants.userId',
-        select: 'name email bio skills location profilePicture resume experience education'
+        select: 'name email bio skills location profilePicture resume experience education privacy'
       })
+      .populate('applicants.resumeVersion')
       .sort({ createdAt: -1 });
 
+    const applicantIds = jobs
+      .flatMap(job => job.applicants.map(applicant => applicant.userId && applicant.userId._id))
+      .filter(Boolean);
+    const endorsementCounts = await getEndorsementCounts(applicantIds);
+
     // Flatten applications with job details
     const applications = [];
     jobs.forEach(job => {
+      const jobSkills = job.skills.map(skill => skill.toLowerCase());
+
       job.applicants.forEach(applicant => {
+        const profile = applicant.userId;
+        const relevantSkills = profile
+          ? profile.skills.filter(skill => jobSkills.includes(skill.toLowerCase()))
+          : [];
+        const endorsedSkills = profile
+          ? getEndorsedSkills(relevantSkills, endorsementCounts.get(profile._id.toString()))
+          : [];
+
         applications.push({
           _id: applicant._id,
           job: {
@@ -424,14 +484,21 @@ router.get('/applications/received', authMiddleware, async (req, res) => {
             company: job.company,
             location: job.location
           },
-          applicant: applicant.userId,
+          applicant: serializeUser(applicant.userId, req.user, { asConnection: true }),
           coverLetter: applicant.coverLetter,
+          resume: applicant.resumeVersion ? applicant.resumeVersion.toSummary() : null,
           appliedAt: applicant.appliedAt,
-          status: applicant.status
+          status: applicant.status,
+          endorsedSkills,
+          endorsementCount: endorsedSkills.reduce((sum, item) => sum + item.count, 0)
         });
       });
     });
 
+    if (req.query.sort === 'endorsements') {
+      applications.sort((a, b) => b.endorsementCount - a.endorsementCount || b.appliedAt - a.appliedAt);
+    }
+
     res.json({ applications });
   } catch (error) {
     console.error('Get applications error:', error);
@@ -445,7 +512,7 @@ router.put('/applications/:jobId/:applicantId/status', authMiddleware, async (re
     const { jobId, applicantId } = req.params;
     const { status } = req.body;
 
-    if (!['pending', 'reviewed', 'shortlisted', 'rejected'].includes(status)) {
+    if (!['pending', 'reviewed', 'shortlisted', 'hired', 'rejected'].includes(status)) {
       return res.status(400).json({ error: 'Invalid status' });
     }
 
@@ -3,6 +3,9 @@ const router = express.Router();
 const Message = require('../models/Message');
 const User = require('../models/User');
 const authMiddleware = require('../middleware/auth');
+const { hasEntitlement } = require('../utils/entitlements');
+const { isBlockedBetween } = require('../utils/blocking');
+const { serializeUser } = require('../utils/privacy');
 
 // Get all conversations for current user
 router.get('/conversations', authMiddleware, async (req, res) => {
@@ -32,7 +35,7 @@ router.get('/conversations', authMiddleware, async (req, res) => {
         
         conversationsMap.set(conversationId, {
           conversationId,
-          otherUser,
+          otherUser: serializeUser(otherUser, req.user),
           lastMessage: message,
           unreadCount: 0
         });
@@ -86,7 +89,7 @@ router.get('/conversation/:userId', authMiddleware, async (req, res) => {
 
     res.json({ 
       conversationId,
-      otherUser,
+      otherUser: serializeUser(otherUser, req.user),
       messages 
     });
   } catch (error) {
@@ -115,8 +118,23 @@ router.post('/send', authMiddleware, async (req, res) => {
       return res.status(400).json({ error: 'Cannot send message to yourself' });
     }
 
+    if (await isBlockedBetween(req.userId, receiverId)) {
+      return res.status(403).json({ error: 'You cannot message this user' });
+    }
+
     const conversationId = Message.generateConversationId(req.userId, receiverId);
 
+    // Starting a conversation outside your network is a premium feature;
+    // anyone can reply in a conversation that already exists
+    const isConnected = req.user.connections.some(id => id.toString() === receiverId);
+    if (!isConnected && !hasEntitlement(req.user, 'messageNonConnections') &&
+        !(await Message.exists({ conversationId }))) {
+      return res.status(403).json({
+        error: 'Upgrade to premium to message people outside your connections',
+        upgradeRequired: true
+      });
+    }
+
     const message = new Message({
       conversationId,
       sender: req.userId,
@@ -1,14 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const Notification = require('../models/Notification');
+const User = require('../models/User');
 const authMiddleware = require('../middleware/auth');
+const { getHiddenIds } = require('../utils/blocking');
 
 // Get all notifications for current user
 router.get('/', authMiddleware, async (req, res) => {
   try {
     const { limit = 50, skip = 0 } = req.query;
+    const hiddenIds = await getHiddenIds(req.userId);
 
-    const notifications = await Notification.find({ recipient: req.userId })
+    const notifications = await Notification.find({ recipient: req.userId, sender: { $nin: hiddenIds } })
       .populate('sender', 'name profilePicture headline')
       .populate('post', 'content')
       .populate('job', 'title company')
@@ -18,6 +21,7 @@ router.get('/', authMiddleware, async (req, res) => {
 
     const unreadCount = await Notification.countDocuments({
       recipient: req.userId,
+      sender: { $nin: hiddenIds },
       read: false
     });
 
@@ -34,8 +38,10 @@ router.get('/', authMiddleware, async (req, res) => {
 // Get unread count
 router.get('/unread/count', authMiddleware, async (req, res) => {
   try {
+    const hiddenIds = await getHiddenIds(req.userId);
     const count = await Notification.countDocuments({
       recipient: req.userId,
+      sender: { $nin: hiddenIds },
       read: false
     });
 
@@ -104,7 +110,15 @@ router.delete('/:id', authMiddleware, async (req, res) => {
 const createNotification = async ({ recipient, sender, type, post, job, message }) => {
   try {
     // Don't create notification if recipient is sender
-    if (recipient.toString() === sender.toString()) {
+    if (sender && recipient.toString() === sender.toString()) {
+      return null;
+    }
+
+    // Nor if the recipient has muted or blocked the sender
+    if (sender && await User.exists({
+      _id: recipient,
+      $or: [{ mutedUsers: sender }, { blockedUsers: sender }]
+    })) {
       return null;
     }
 
@@ -1,109 +1,290 @@
 const express = require('express');
 const router = express.Router();
 const Payment = require('../models/Payment');
+const PaymentIntent = require('../models/PaymentIntent');
 const Job = require('../models/Job');
-const User = require('../models/User');
 const authMiddleware = require('../middleware/auth');
-const { Connection, PublicKey, Transaction } = require('@solana/web3.js');
-const { ethers } = require('ethers');
+const { verifyNativeTransfer, verifyTokenTransfer, getAcceptedTokens, findAcceptedToken, normalizeTransactionHash } = require('../utils/evm');
+const { verifySolTransfer } = require('../utils/solana');
+const { checkPayment, getRequiredConfirmations } = require('../workers/paymentConfirmer');
+const { quote, getPromotionDays, PREMIUM_DURATIONS } = require('../utils/pricing');
+const { createReceiptPdf, formatInvoiceNumber } = require('../utils/receipt');
 
-// Verify Ethereum/Polygon payment
-router.post('/verify-eth', authMiddleware, async (req, res) => {
-  try {
-    const { transactionHash, blockchain, jobId } = req.body;
+const INTENT_TTL_MS = (parseInt(process.env.PAYMENT_INTENT_TTL_MINUTES) || 30) * 60 * 1000;
+
+const CURRENCIES = {
+  ethereum: 'ETH',
+  polygon: 'MATIC',
+  solana: 'SOL'
+};
+
+// Quote a value for CSV output
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const getAdminWallet = (blockchain) =>
+  blockchain === 'solana' ? process.env.ADMIN_WALLET_SOL : process.env.ADMIN_WALLET_ETH;
+
+// Record a submitted transaction against a payment intent as a pending
+// payment and give the confirmer a first look at it. The amount, purpose and
+// target all come from the intent, never from the request body. A token
+// symbol switches an EVM payment to the intent's stablecoin price. Transactions
+// that are visible on-chain but were not sent by the user are rejected
+// without a record, so they can't be squatted.
+const submitPayment = async (req, res, { intentId, blockchain, transactionHash, purpose, tokenSymbol }) => {
+  if (!req.user.walletAddress) {
+    return res.status(400).json({ error: 'Please connect your wallet before paying' });
+  }
+
+  // Solana signatures are case-sensitive base58; EVM hashes are not
+  if (blockchain !== 'solana') {
+    transactionHash = normalizeTransactionHash(transactionHash);
+    if (!transactionHash) {
+      return res.status(400).json({ error: 'Invalid transaction hash' });
+    }
+  }
+
+  const intent = await PaymentIntent.findOne({ _id: intentId, user: req.userId });
+  if (!intent) {
+    return res.status(404).json({ error: 'Payment intent not found' });
+  }
+
+  if (purpose && intent.purpose !== purpose) {
+    return res.status(400).json({ error: `Payment intent is not for ${purpose}` });
+  }
 
-    if (!transactionHash || !blockchain) {
-      return res.status(400).json({ error: 'Transaction hash and blockchain are required' });
+  if (intent.status !== 'open') {
+    return res.status(400).json({ error: 'Payment intent has already been used' });
+  }
+
+  if (intent.expiresAt < new Date()) {
+    return res.status(400).json({ error: 'Payment intent has expired, please create a new one' });
+  }
+
+  let token = null;
+  if (tokenSymbol) {
+    token = blockchain === 'solana' ? null : findAcceptedToken(blockchain, tokenSymbol);
+    if (!token) {
+      return res.status(400).json({ error: `${tokenSymbol} is not accepted on ${blockchain}` });
     }
+  }
 
-    // Check if payment already exists
-    const existingPayment = await Payment.findOne({ transactionHash });
+  const amount = token ? intent.amounts.stablecoin : intent.amounts[blockchain];
+  if (!amount) {
+    return res.status(400).json({ error: `Payment intent cannot be paid on ${blockchain}` });
+  }
+
+  // A transaction backs one payment. The user's own failed record, e.g. one
+  // that timed out before the transaction confirmed, is taken over by the
+  // resubmission so a transfer that lands late isn't lost.
+  const existingPayment = await Payment.findOne({ transactionHash });
+  if (existingPayment && (existingPayment.status !== 'failed' || !existingPayment.user.equals(req.userId))) {
+    return res.status(400).json({ error: 'Payment already recorded' });
+  }
+
+  const expected = {
+    expectedFrom: req.user.walletAddress,
+    expectedTo: getAdminWallet(blockchain),
+    minAmount: amount
+  };
+
+  let result;
+  if (blockchain === 'solana') {
+    result = await verifySolTransfer({ signature: transactionHash, ...expected });
+  } else if (token) {
+    result = await verifyTokenTransfer({ blockchain, transactionHash, token, ...expected });
+  } else {
+    result = await verifyNativeTransfer({ blockchain, transactionHash, ...expected });
+  }
+
+  if (!result.verified && !result.pending && !result.failed) {
+    return res.status(400).json({ error: result.error });
+  }
+
+  // Claim the intent so it can only back one payment at a time
+  const claimed = await PaymentIntent.findOneAndUpdate(
+    { _id: intent._id, status: 'open' },
+    { status: 'used' }
+  );
+  if (!claimed) {
+    return res.status(400).json({ error: 'Payment intent has already been used' });
+  }
+
+  const fields = {
+    user: req.userId,
+    intent: intent._id,
+    transactionHash,
+    blockchain,
+    amount,
+    currency: token ? token.symbol : CURRENCIES[blockchain],
+    tokenSymbol: token ? token.symbol : undefined,
+    tokenAddress: token ? token.address : undefined,
+    fromAddress: expected.expectedFrom,
+    toAddress: expected.expectedTo,
+    purpose: intent.purpose,
+    relatedJobId: intent.relatedJobId,
+    durationMonths: intent.durationMonths,
+    durationDays: intent.durationDays,
+    status: 'pending'
+  };
+
+  // Hand the intent back if no payment ends up recorded against it
+  const reopenIntent = () => PaymentIntent.updateOne({ _id: intent._id, status: 'used' }, { status: 'open' });
+
+  let payment;
+  try {
     if (existingPayment) {
+      payment = await Payment.findOneAndUpdate(
+        { _id: existingPayment._id, status: 'failed' },
+        {
+          $set: { ...fields, confirmations: 0, createdAt: new Date() },
+          $unset: { failureReason: 1, blockNumber: 1, gasUsed: 1, feeLamports: 1 }
+        },
+        { new: true }
+      );
+    } else {
+      payment = await new Payment(fields).save();
+    }
+  } catch (error) {
+    await reopenIntent();
+    // Another request recorded the same transaction first
+    if (error.code === 11000) {
       return res.status(400).json({ error: 'Payment already recorded' });
     }
+    throw error;
+  }
+
+  if (!payment) {
+    await reopenIntent();
+    return res.status(400).json({ error: 'Payment already recorded' });
+  }
+  await PaymentIntent.findByIdAndUpdate(intent._id, { payment: payment._id });
+  const checked = await checkPayment(payment, result);
+
+  if (checked.status === 'failed') {
+    return res.status(400).json({ error: checked.failureReason, payment: checked });
+  }
+
+  res.status(checked.status === 'pending' ? 202 : 200).json({
+    message: checked.status === 'pending'
+      ? 'Payment submitted, waiting for confirmations'
+      : 'Payment verified successfully',
+    payment: checked
+  });
+};
+
+// Create a server-priced payment intent
+router.post('/intents', authMiddleware, async (req, res) => {
+  try {
+    const { purpose, jobId } = req.body;
+    const durationMonths = parseInt(req.body.durationMonths) || 1;
+
+    const amounts = quote(purpose, { durationMonths });
+    if (!amounts) {
+      return res.status(400).json({ error: 'Invalid payment purpose' });
+    }
+
+    if (purpose === 'premium_subscription' && !PREMIUM_DURATIONS.includes(durationMonths)) {
+      return res.status(400).json({ error: `Duration must be one of ${PREMIUM_DURATIONS.join(', ')} months` });
+    }
+
+    if (purpose !== 'premium_subscription') {
+      if (!jobId) {
+        return res.status(400).json({ error: 'Job ID is required' });
+      }
+
+      const job = await Job.findOne({ _id: jobId, postedBy: req.userId });
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found or unauthorized' });
+      }
+
+      if (purpose === 'job_posting' && job.paymentVerified) {
+        return res.status(400).json({ error: 'Job posting fee already paid' });
+      }
+
+      if (purpose !== 'job_posting' && job.status !== 'active') {
+        return res.status(400).json({ error: 'Only active jobs can be promoted' });
+      }
+    }
 
-    // In production, you would verify the transaction on-chain
-    // For demo purposes, we'll create a payment record
-    const payment = new Payment({
+    const intent = new PaymentIntent({
       user: req.userId,
-      transactionHash,
-      blockchain,
-      amount: parseFloat(process.env.PLATFORM_FEE_ETH) || 0.00001,
-      currency: blockchain === 'ethereum' ? 'ETH' : 'MATIC',
-      fromAddress: req.body.fromAddress,
-      toAddress: process.env.ADMIN_WALLET_ETH,
-      purpose: 'job_posting',
-      relatedJobId: jobId,
-      status: 'confirmed',
-      confirmedAt: new Date()
+      purpose,
+      amounts,
+      relatedJobId: purpose === 'premium_subscription' ? undefined : jobId,
+      durationMonths: purpose === 'premium_subscription' ? durationMonths : undefined,
+      durationDays: getPromotionDays(purpose) || undefined,
+      expiresAt: new Date(Date.now() + INTENT_TTL_MS)
     });
 
-    await payment.save();
+    await intent.save();
+
+    res.status(201).json({
+      intent,
+      adminWallets: {
+        ethereum: getAdminWallet('ethereum'),
+        polygon: getAdminWallet('polygon'),
+        solana: getAdminWallet('solana')
+      }
+    });
+  } catch (error) {
+    console.error('Create payment intent error:', error);
+    res.status(500).json({ error: 'Failed to create payment intent' });
+  }
+});
+
+// Get a payment intent
+router.get('/intents/:id', authMiddleware, async (req, res) => {
+  try {
+    const intent = await PaymentIntent.findOne({ _id: req.params.id, user: req.userId })
+      .populate('payment', 'status transactionHash blockchain');
 
-    // Update job if jobId provided
-    if (jobId) {
-      await Job.findByIdAndUpdate(jobId, {
-        paymentVerified: true,
-        transactionHash,
-        blockchain
-      });
+    if (!intent) {
+      return res.status(404).json({ error: 'Payment intent not found' });
     }
 
-    res.json({
-      message: 'Payment verified successfully',
-      payment
-    });
+    res.json({ intent });
   } catch (error) {
-    console.error('Verify ETH payment error:', error);
-    res.status(500).json({ error: 'Failed to verify payment' });
+    console.error('Get payment intent error:', error);
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Verify Solana payment
-router.post('/verify-sol', authMiddleware, async (req, res) => {
+// Verify Ethereum/Polygon payment
+router.post('/verify-eth', authMiddleware, async (req, res) => {
   try {
-    const { transactionSignature, jobId } = req.body;
+    const { intentId, transactionHash, blockchain, token } = req.body;
 
-    if (!transactionSignature) {
-      return res.status(400).json({ error: 'Transaction signature is required' });
+    if (!intentId || !transactionHash || !blockchain) {
+      return res.status(400).json({ error: 'Payment intent, transaction hash and blockchain are required' });
     }
 
-    // Check if payment already exists
-    const existingPayment = await Payment.findOne({ transactionHash: transactionSignature });
-    if (existingPayment) {
-      return res.status(400).json({ error: 'Payment already recorded' });
+    if (!['ethereum', 'polygon'].includes(blockchain)) {
+      return res.status(400).json({ error: 'Blockchain must be ethereum or polygon' });
     }
 
-    // In production, you would verify the transaction on Solana blockchain
-    // For demo purposes, we'll create a payment record
-    const payment = new Payment({
-      user: req.userId,
-      transactionHash: transactionSignature,
-      blockchain: 'solana',
-      amount: parseFloat(process.env.PLATFORM_FEE_SOL) || 0.0001,
-      currency: 'SOL',
-      fromAddress: req.body.fromAddress,
-      toAddress: process.env.ADMIN_WALLET_SOL,
-      purpose: 'job_posting',
-      relatedJobId: jobId,
-      status: 'confirmed',
-      confirmedAt: new Date()
-    });
+    await submitPayment(req, res, { intentId, blockchain, transactionHash, tokenSymbol: token });
+  } catch (error) {
+    console.error('Verify ETH payment error:', error);
+    res.status(500).json({ error: 'Failed to verify payment' });
+  }
+});
 
-    await payment.save();
+// Verify Solana payment
+router.post('/verify-sol', authMiddleware, async (req, res) => {
+  try {
+    const { intentId, transactionSignature } = req.body;
 
-    // Update job if jobId provided
-    if (jobId) {
-      await Job.findByIdAndUpdate(jobId, {
-        paymentVerified: true,
-        transactionHash: transactionSignature,
-        blockchain: 'solana'
-      });
+    if (!intentId || !transactionSignature) {
+      return res.status(400).json({ error: 'Payment intent and transaction signature are required' });
     }
 
-    res.json({
-      message: 'Payment verified successfully',
-      payment
+    await submitPayment(req, res, {
+      intentId,
+      blockchain: 'solana',
+      transactionHash: transactionSignature
     });
   } catch (error) {
     console.error('Verify SOL payment error:', error);
@@ -125,74 +306,236 @@ router.get('/history', authMiddleware, async (req, res) => {
   }
 });
 
+// Export payment history as CSV for a date range (?from=YYYY-MM-DD&to=YYYY-MM-DD)
+router.get('/history/export', authMiddleware, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const query = { user: req.userId };
+
+    if (from || to) {
+      query.createdAt = {};
+
+      if (from) {
+        const fromDate = new Date(from);
+        if (isNaN(fromDate)) {
+          return res.status(400).json({ error: 'Invalid from date' });
+        }
+        query.createdAt.$gte = fromDate;
+      }
+
+      if (to) {
+        const toDate = new Date(to);
+        if (isNaN(toDate)) {
+          return res.status(400).json({ error: 'Invalid to date' });
+        }
+        // Include the whole end day
+        toDate.setUTCHours(23, 59, 59, 999);
+        query.createdAt.$lte = toDate;
+      }
+    }
+
+    const payments = await Payment.find(query)
+      .populate('relatedJobId', 'title')
+      .sort('createdAt');
+
+    const header = [
+      'Invoice', 'Date', 'Status', 'Purpose', 'Job', 'Chain', 'Currency',
+      'Amount', 'Fiat Value', 'Fiat Currency', 'Transaction Hash', 'From Address'
+    ];
+    const rows = payments.map(payment => [
+      payment.invoiceNumber ? formatInvoiceNumber(payment.invoiceNumber) : '',
+      payment.createdAt.toISOString(),
+      payment.status,
+      payment.purpose,
+      payment.relatedJobId ? payment.relatedJobId.title : '',
+      payment.blockchain,
+      payment.currency,
+      payment.amount,
+      payment.fiatValue,
+      payment.fiatValue !== undefined ? payment.fiatCurrency : '',
+      payment.transactionHash,
+      payment.fromAddress
+    ]);
+
+    const csv = [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="payment-history.csv"');
+    res.send(csv);
+  } catch (error) {
+    console.error('Export payment history error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get platform fees
 router.get('/fees', (req, res) => {
+  const jobPostingFees = quote('job_posting');
+
+  // Accepted ERC-20 stablecoins, priced at the USD job posting fee
+  const listTokens = (blockchain) => getAcceptedTokens(blockchain).map(token => ({
+    ...token,
+    amount: jobPostingFees.stablecoin
+  }));
+
   res.json({
     ethereum: {
-      amount: parseFloat(process.env.PLATFORM_FEE_ETH) || 0.00001,
+      amount: jobPostingFees.ethereum,
       currency: 'ETH',
-      adminWallet: process.env.ADMIN_WALLET_ETH
+      adminWallet: process.env.ADMIN_WALLET_ETH,
+      tokens: listTokens('ethereum')
     },
     polygon: {
-      amount: parseFloat(process.env.PLATFORM_FEE_ETH) || 0.00001,
+      amount: jobPostingFees.polygon,
       currency: 'MATIC',
-      adminWallet: process.env.ADMIN_WALLET_ETH
+      adminWallet: process.env.ADMIN_WALLET_ETH,
+      tokens: listTokens('polygon')
     },
     solana: {
-      amount: parseFloat(process.env.PLATFORM_FEE_SOL) || 0.0001,
+      amount: jobPostingFees.solana,
       currency: 'SOL',
       adminWallet: process.env.ADMIN_WALLET_SOL
+    },
+    prices: {
+      job_posting: jobPostingFees,
+      premium_subscription: quote('premium_subscription'),
+      job_boost: quote('job_boost'),
+      featured_listing: quote('featured_listing')
     }
   });
 });
 
+// Poll the confirmation status of a payment
+router.get('/:id/status', authMiddleware, async (req, res) => {
+  try {
+    const payment = await Payment.findOne({ _id: req.params.id, user: req.userId });
+
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    res.json({
+      status: payment.status,
+      confirmations: payment.confirmations || 0,
+      requiredConfirmations: getRequiredConfirmations(payment.blockchain),
+      failureReason: payment.failureReason,
+      confirmedAt: payment.confirmedAt
+    });
+  } catch (error) {
+    console.error('Get payment status error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Download a PDF receipt for a confirmed payment
+router.get('/:id/receipt', authMiddleware, async (req, res) => {
+  try {
+    const payment = await Payment.findOne({ _id: req.params.id, user: req.userId })
+      .populate('user', 'name')
+      .populate('relatedJobId', 'title');
+
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    if (payment.status !== 'confirmed') {
+      return res.status(400).json({ error: 'Receipts are only available for confirmed payments' });
+    }
+
+    // Payments confirmed before invoices existed get a number on first download
+    if (!payment.invoiceNumber) {
+      await payment.assignInvoiceNumber();
+      await payment.save();
+    }
+
+    const filename = `receipt-${formatInvoiceNumber(payment.invoiceNumber)}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    const doc = createReceiptPdf(payment);
+    doc.pipe(res);
+    doc.end();
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    res.status(500).json({ error: 'Failed to generate receipt' });
+  }
+});
+
 // Premium subscription payment
 router.post('/premium-subscription', authMiddleware, async (req, res) => {
   try {
-    const { transactionHash, blockchain, durationMonths = 1 } = req.body;
+    const { intentId, transactionHash, blockchain, token } = req.body;
 
-    if (!transactionHash || !blockchain) {
-      return res.status(400).json({ error: 'Transaction hash and blockchain are required' });
+    if (!intentId || !transactionHash || !blockchain) {
+      return res.status(400).json({ error: 'Payment intent, transaction hash and blockchain are required' });
     }
 
-    // Check if payment already exists
-    const existingPayment = await Payment.findOne({ transactionHash });
-    if (existingPayment) {
-      return res.status(400).json({ error: 'Payment already recorded' });
+    if (!CURRENCIES[blockchain]) {
+      return res.status(400).json({ error: 'Unsupported blockchain' });
     }
 
-    // Create payment record
-    const payment = new Payment({
-      user: req.userId,
-      transactionHash,
+    await submitPayment(req, res, {
+      intentId,
       blockchain,
-      amount: req.body.amount,
-      currency: req.body.currency,
-      fromAddress: req.body.fromAddress,
-      toAddress: blockchain === 'solana' ? process.env.ADMIN_WALLET_SOL : process.env.ADMIN_WALLET_ETH,
+      transactionHash,
       purpose: 'premium_subscription',
-      status: 'confirmed',
-      confirmedAt: new Date()
+      tokenSymbol: token
     });
+  } catch (error) {
+    console.error('Premium subscription error:', error);
+    res.status(500).json({ error: 'Failed to process subscription' });
+  }
+});
 
-    await payment.save();
+// Job boost payment
+router.post('/job-boost', authMiddleware, async (req, res) => {
+  try {
+    const { intentId, transactionHash, blockchain, token } = req.body;
 
-    // Update user to premium
-    const expiresAt = new Date();
-    expiresAt.setMonth(expiresAt.getMonth() + durationMonths);
+    if (!intentId || !transactionHash || !blockchain) {
+      return res.status(400).json({ error: 'Payment intent, transaction hash and blockchain are required' });
+    }
+
+    if (!CURRENCIES[blockchain]) {
+      return res.status(400).json({ error: 'Unsupported blockchain' });
+    }
 
-    await User.findByIdAndUpdate(req.userId, {
-      isPremium: true,
-      premiumExpiresAt: expiresAt
+    await submitPayment(req, res, {
+      intentId,
+      blockchain,
+      transactionHash,
+      purpose: 'job_boost',
+      tokenSymbol: token
     });
+  } catch (error) {
+    console.error('Job boost payment error:', error);
+    res.status(500).json({ error: 'Failed to process job boost' });
+  }
+});
 
-    res.json({
-      message: 'Premium subscription activated',
-      expiresAt
+// Featured listing payment
+router.post('/featured-listing', authMiddleware, async (req, res) => {
+  try {
+    const { intentId, transactionHash, blockchain, token } = req.body;
+
+    if (!intentId || !transactionHash || !blockchain) {
+      return res.status(400).json({ error: 'Payment intent, transaction hash and blockchain are required' });
+    }
+
+    if (!CURRENCIES[blockchain]) {
+      return res.status(400).json({ error: 'Unsupported blockchain' });
+    }
+
+    await submitPayment(req, res, {
+      intentId,
+      blockchain,
+      transactionHash,
+      purpose: 'featured_listing',
+      tokenSymbol: token
     });
   } catch (error) {
-    console.error('Premium subscription error:', error);
-    res.status(500).json({ error: 'Failed to process subscription' });
+    console.error('Featured listing payment error:', error);
+    res.status(500).json({ error: 'Failed to process featured listing' });
   }
 });
 
@@ -3,6 +3,19 @@ const router = express.Router();
 const Post = require('../models/Post');
 const authMiddleware = require('../middleware/auth');
 const { createNotification } = require('./notifications');
+const { toIdStrings, getBlockedIds, isBlockedBetween } = require('../utils/blocking');
+const { serializeRef } = require('../utils/privacy');
+
+// Drop comments written by blocked users and apply the author's privacy
+// settings
+const withoutHiddenComments = (post, hiddenIds, viewer) => {
+  const hidden = new Set(toIdStrings(hiddenIds));
+  const result = serializeRef(post, 'author', viewer);
+  result.comments = result.comments.filter(comment =>
+    !comment.user || !hidden.has((comment.user._id || comment.user).toString())
+  );
+  return result;
+};
 
 // Create post
 router.post('/', authMiddleware, async (req, res) => {
@@ -43,17 +56,21 @@ router.get('/feed', authMiddleware, async (req, res) => {
     const { page = 1, limit = 20 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const posts = await Post.find({ visibility: 'public' })
-      .populate('author', 'name email profilePicture bio')
+    // Leave out blocked and muted authors; muting doesn't hide comments
+    const blockedIds = await getBlockedIds(req.userId);
+    const query = { visibility: 'public', author: { $nin: [...blockedIds, ...req.user.mutedUsers] } };
+
+    const posts = await Post.find(query)
+      .populate('author', 'name email profilePicture bio privacy')
       .populate('comments.user', 'name profilePicture')
       .sort('-createdAt')
       .skip(skip)
       .limit(parseInt(limit));
 
-    const total = await Post.countDocuments({ visibility: 'public' });
+    const total = await Post.countDocuments(query);
 
     res.json({
-      posts,
+      posts: posts.map(post => withoutHiddenComments(post, blockedIds, req.user)),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -71,14 +88,16 @@ router.get('/feed', authMiddleware, async (req, res) => {
 router.get('/:postId', authMiddleware, async (req, res) => {
   try {
     const post = await Post.findById(req.params.postId)
-      .populate('author', 'name email profilePicture bio')
+      .populate('author', 'name email profilePicture bio privacy')
       .populate('comments.user', 'name profilePicture');
 
-    if (!post) {
+    const blockedIds = toIdStrings(await getBlockedIds(req.userId));
+
+    if (!post || (post.author && blockedIds.includes(post.author._id.toString()))) {
       return res.status(404).json({ error: 'Post not found' });
     }
 
-    res.json({ post });
+    res.json({ post: withoutHiddenComments(post, blockedIds, req.user) });
   } catch (error) {
     console.error('Get post error:', error);
     res.status(500).json({ error: 'Server error' });
@@ -88,11 +107,15 @@ router.get('/:postId', authMiddleware, async (req, res) => {
 // Get user's posts
 router.get('/user/:userId', authMiddleware, async (req, res) => {
   try {
+    if (await isBlockedBetween(req.userId, req.params.userId)) {
+      return res.json({ posts: [] });
+    }
+
     const posts = await Post.find({ author: req.params.userId })
-      .populate('author', 'name email profilePicture')
+      .populate('author', 'name email profilePicture privacy')
       .sort('-createdAt');
 
-    res.json({ posts });
+    res.json({ posts: posts.map(post => serializeRef(post, 'author', req.user)) });
   } catch (error) {
     console.error('Get user posts error:', error);
     res.status(500).json({ error: 'Server error' });
@@ -104,7 +127,7 @@ router.post('/:postId/like', authMiddleware, async (req, res) => {
   try {
     const post = await Post.findById(req.params.postId);
 
-    if (!post) {
+    if (!post || await isBlockedBetween(req.userId, post.author)) {
       return res.status(404).json({ error: 'Post not found' });
     }
 
@@ -149,7 +172,7 @@ router.post('/:postId/comment', authMiddleware, async (req, res) => {
 
     const post = await Post.findById(req.params.postId);
 
-    if (!post) {
+    if (!post || await isBlockedBetween(req.userId, post.author)) {
       return res.status(404).json({ error: 'Post not found' });
     }
 
@@ -171,10 +194,11 @@ router.post('/:postId/comment', authMiddleware, async (req, res) => {
 
     const populatedPost = await Post.findById(post._id)
       .populate('comments.user', 'name profilePicture');
+    const blockedIds = await getBlockedIds(req.userId);
 
     res.json({
       message: 'Comment added successfully',
-      comments: populatedPost.comments
+      comments: withoutHiddenComments(populatedPost, blockedIds, req.user).comments
     });
   } catch (error) {
     console.error('Comment post error:', error);
@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { serializeUser } = require('../utils/privacy');
+const { profileUrl, buildOpenGraph, buildPersonJsonLd } = require('../utils/publicProfile');
+const { getEndorsementSummary } = require('../utils/endorsements');
+
+// Everything a public page could show; serializeUser drops what isn't public
+const PUBLIC_PROFILE_FIELDS = 'name handle headline bio profilePicture skills location email phone walletAddress walletType ' +
+  'linkedinUrl githubUrl portfolioUrl websiteUrl experience education connections isPremium openToWork privacy suspension createdAt';
+
+const CACHE_SECONDS = parseInt(process.env.PUBLIC_PROFILE_CACHE_SECONDS) || 300;
+
+// Shareable profile by handle. No auth; only fields the owner made public.
+router.get('/profiles/:handle', async (req, res) => {
+  try {
+    const handle = String(req.params.handle).toLowerCase();
+    const user = await User.findOne({ handle }).select(PUBLIC_PROFILE_FIELDS);
+
+    if (!user || user.isSuspended()) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    const profile = serializeUser(user, null);
+
+    // Only the count of connections is shared, never the ids
+    if (profile.connections) {
+      profile.connectionsCount = profile.connections.length;
+      delete profile.connections;
+    }
+
+    // Express adds an ETag, so repeat requests get a 304
+    const endorsements = (await getEndorsementSummary(user, { withEndorsers: false }))
+      .filter(item => item.count > 0);
+
+    res.set('Cache-Control', `public, max-age=${CACHE_SECONDS}`);
+    res.json({
+      profile,
+      endorsements,
+      url: profileUrl(profile.handle),
+      openGraph: buildOpenGraph(profile),
+      jsonLd: buildPersonJsonLd(profile)
+    });
+  } catch (error) {
+    console.error('Get public profile error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
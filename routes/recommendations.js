@@ -0,0 +1,307 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Recommendation = require('../models/Recommendation');
+const User = require('../models/User');
+const authMiddleware = require('../middleware/auth');
+const { createNotification } = require('./notifications');
+const { serializeRef } = require('../utils/privacy');
+
+const isConnectedTo = (user, otherUserId) =>
+  user.connections.some(id => id.toString() === otherUserId.toString());
+
+// Find an experience entry on the recipient's profile
+const findExperience = async (recipientId, experienceId) => {
+  if (!mongoose.Types.ObjectId.isValid(experienceId)) {
+    return null;
+  }
+
+  const recipient = await User.findById(recipientId).select('experience');
+  return recipient && recipient.experience.id(experienceId);
+};
+
+// Free-text limits come from the schema so they are checked before any lookups
+const maxLength = (path) => Recommendation.schema.path(path).options.maxlength;
+const exceeds = (path, value) => value != null && String(value).trim().length > maxLength(path);
+
+// Whether this author already has a recommendation in progress or shown for
+// this role
+const hasOpenRecommendation = (recipientId, authorId, experienceId) => Recommendation.exists({
+  recipient: recipientId,
+  author: authorId,
+  'experience.experienceId': experienceId,
+  status: { $in: ['requested', 'pending', 'approved'] }
+});
+
+// Ask a connection to write a recommendation for one of your roles
+router.post('/requests', authMiddleware, async (req, res) => {
+  try {
+    const { authorId, experienceId, message } = req.body;
+
+    if (!authorId || !experienceId) {
+      return res.status(400).json({ error: 'Author and experience are required' });
+    }
+    if (exceeds('requestMessage', message)) {
+      return res.status(400).json({ error: `Message must be at most ${maxLength('requestMessage')} characters` });
+    }
+    if (!isConnectedTo(req.user, authorId)) {
+      return res.status(403).json({ error: 'You can only ask your connections for recommendations' });
+    }
+
+    const experience = await findExperience(req.userId, experienceId);
+    if (!experience) {
+      return res.status(404).json({ error: 'Experience entry not found on your profile' });
+    }
+
+    if (await hasOpenRecommendation(req.userId, authorId, experience._id)) {
+      return res.status(400).json({ error: 'A recommendation for this role from this person already exists' });
+    }
+
+    const recommendation = await Recommendation.create({
+      recipient: req.userId,
+      author: authorId,
+      experience: {
+        experienceId: experience._id,
+        title: experience.title,
+        company: experience.company
+      },
+      requestMessage: message || '',
+      status: 'requested',
+      requestedAt: new Date()
+    });
+
+    await createNotification({
+      recipient: authorId,
+      sender: req.userId,
+      type: 'recommendation_requested',
+      message: `asked you for a recommendation for ${experience.title || 'a role'}${experience.company ? ` at ${experience.company}` : ''}`
+    });
+
+    res.status(201).json({ message: 'Recommendation requested', recommendation });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Request recommendation error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Requests waiting for the current user to write
+router.get('/requests', authMiddleware, async (req, res) => {
+  try {
+    const requests = await Recommendation.find({ author: req.userId, status: 'requested' })
+      .populate('recipient', 'name headline profilePicture privacy')
+      .sort('-requestedAt');
+
+    res.json({ requests: requests.map(request => serializeRef(request, 'recipient', req.user)) });
+  } catch (error) {
+    console.error('Get recommendation requests error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Decline a request to write a recommendation
+router.delete('/requests/:id', authMiddleware, async (req, res) => {
+  try {
+    const request = await Recommendation.findOneAndDelete({
+      _id: req.params.id,
+      author: req.userId,
+      status: 'requested'
+    });
+
+    if (!request) {
+      return res.status(404).json({ error: 'Recommendation request not found' });
+    }
+
+    res.json({ message: 'Recommendation request declined' });
+  } catch (error) {
+    console.error('Decline recommendation request error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Write a recommendation for a connection, either unprompted or to answer a
+// request. It stays pending until the recipient approves it.
+router.post('/', authMiddleware, async (req, res) => {
+  try {
+    const { recipientId, experienceId, relationship, content, requestId } = req.body;
+
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'Recommendation text is required' });
+    }
+    if (exceeds('content', content)) {
+      return res.status(400).json({ error: `Recommendation text must be at most ${maxLength('content')} characters` });
+    }
+    if (exceeds('relationship', relationship)) {
+      return res.status(400).json({ error: `Relationship must be at most ${maxLength('relationship')} characters` });
+    }
+
+    let recommendation;
+
+    if (requestId) {
+      recommendation = await Recommendation.findOne({
+        _id: requestId,
+        author: req.userId,
+        status: 'requested'
+      });
+
+      if (!recommendation) {
+        return res.status(404).json({ error: 'Recommendation request not found' });
+      }
+      if (!isConnectedTo(req.user, recommendation.recipient)) {
+        return res.status(403).json({ error: 'You can only recommend your connections' });
+      }
+    } else {
+      if (!recipientId || !experienceId) {
+        return res.status(400).json({ error: 'Recipient and experience are required' });
+      }
+      if (!isConnectedTo(req.user, recipientId)) {
+        return res.status(403).json({ error: 'You can only recommend your connections' });
+      }
+
+      const experience = await findExperience(recipientId, experienceId);
+      if (!experience) {
+        return res.status(404).json({ error: 'Experience entry not found on their profile' });
+      }
+
+      if (await hasOpenRecommendation(recipientId, req.userId, experience._id)) {
+        return res.status(400).json({ error: 'You already recommended this person for this role' });
+      }
+
+      recommendation = new Recommendation({
+        recipient: recipientId,
+        author: req.userId,
+        experience: {
+          experienceId: experience._id,
+          title: experience.title,
+          company: experience.company
+        }
+      });
+    }
+
+    recommendation.relationship = relationship || '';
+    recommendation.content = content;
+    recommendation.status = 'pending';
+    recommendation.writtenAt = new Date();
+    await recommendation.save();
+
+    await createNotification({
+      recipient: recommendation.recipient,
+      sender: req.userId,
+      type: 'recommendation_received',
+      message: 'wrote you a recommendation'
+    });
+
+    res.status(201).json({ message: 'Recommendation sent for approval', recommendation });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Write recommendation error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Recommendations written for the current user (?status=pending|approved|hidden)
+router.get('/received', authMiddleware, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = { recipient: req.userId, status: { $ne: 'requested' } };
+
+    if (status) {
+      if (!['pending', 'approved', 'hidden'].includes(status)) {
+        return res.status(400).json({ error: 'Invalid status' });
+      }
+      query.status = status;
+    }
+
+    const recommendations = await Recommendation.find(query)
+      .populate('author', 'name headline profilePicture privacy')
+      .sort('-writtenAt');
+
+    res.json({ recommendations: recommendations.map(item => serializeRef(item, 'author', req.user)) });
+  } catch (error) {
+    console.error('Get received recommendations error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Recommendations the current user has written or been asked for
+router.get('/given', authMiddleware, async (req, res) => {
+  try {
+    const recommendations = await Recommendation.find({ author: req.userId })
+      .populate('recipient', 'name headline profilePicture privacy')
+      .sort('-createdAt');
+
+    res.json({ recommendations: recommendations.map(item => serializeRef(item, 'recipient', req.user)) });
+  } catch (error) {
+    console.error('Get given recommendations error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Recipient approves a recommendation, showing it on their profile
+router.put('/:id/approve', authMiddleware, async (req, res) => {
+  try {
+    const recommendation = await Recommendation.findOneAndUpdate(
+      { _id: req.params.id, recipient: req.userId, status: { $in: ['pending', 'hidden'] } },
+      { status: 'approved', approvedAt: new Date() },
+      { new: true }
+    );
+
+    if (!recommendation) {
+      return res.status(404).json({ error: 'Recommendation not found' });
+    }
+
+    res.json({ message: 'Recommendation approved', recommendation });
+  } catch (error) {
+    console.error('Approve recommendation error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Recipient hides a recommendation from their profile without deleting it
+router.put('/:id/hide', authMiddleware, async (req, res) => {
+  try {
+    const recommendation = await Recommendation.findOneAndUpdate(
+      { _id: req.params.id, recipient: req.userId, status: { $in: ['pending', 'approved'] } },
+      { status: 'hidden' },
+      { new: true }
+    );
+
+    if (!recommendation) {
+      return res.status(404).json({ error: 'Recommendation not found' });
+    }
+
+    res.json({ message: 'Recommendation hidden', recommendation });
+  } catch (error) {
+    console.error('Hide recommendation error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete a recommendation. The recipient can delete any of theirs; the
+// author can withdraw one that hasn't been approved yet.
+router.delete('/:id', authMiddleware, async (req, res) => {
+  try {
+    const recommendation = await Recommendation.findOneAndDelete({
+      _id: req.params.id,
+      $or: [
+        { recipient: req.userId },
+        { author: req.userId, status: { $in: ['requested', 'pending'] } }
+      ]
+    });
+
+    if (!recommendation) {
+      return res.status(404).json({ error: 'Recommendation not found' });
+    }
+
+    res.json({ message: 'Recommendation deleted' });
+  } catch (error) {
+    console.error('Delete recommendation error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
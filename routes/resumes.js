@@ -0,0 +1,141 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const Resume = require('../models/Resume');
+const authMiddleware = require('../middleware/auth');
+const {
+  storeResume,
+  setDefaultResume,
+  deleteResume,
+  canDownloadResume,
+  sendResumeFile
+} = require('../utils/resumes');
+
+// Configure multer for file uploads (in-memory storage)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+});
+
+// List the current user's resume versions
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const resumes = await Resume.find({ user: req.userId, deletedAt: null }).sort('-createdAt');
+
+    res.json({ resumes: resumes.map(resume => resume.toSummary()) });
+  } catch (error) {
+    console.error('Get resumes error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Upload a new version (multipart field "resume", optional name and makeDefault)
+router.post('/', authMiddleware, upload.single('resume'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const { resume, error } = await storeResume(req.userId, req.file, {
+      name: req.body.name,
+      makeDefault: req.body.makeDefault === 'true' || req.body.makeDefault === true
+    });
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.status(201).json({ message: 'Resume uploaded', resume: resume.toSummary() });
+  } catch (error) {
+    console.error('Upload resume error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Rename a version
+router.put('/:id', authMiddleware, async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+
+    if (!name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    const resume = await Resume.findOneAndUpdate(
+      { _id: req.params.id, user: req.userId, deletedAt: null },
+      { name: name.slice(0, 100) },
+      { new: true }
+    );
+
+    if (!resume) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+
+    res.json({ message: 'Resume renamed', resume: resume.toSummary() });
+  } catch (error) {
+    console.error('Rename resume error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Make a version the default one used for applications
+router.put('/:id/default', authMiddleware, async (req, res) => {
+  try {
+    const exists = await Resume.exists({ _id: req.params.id, user: req.userId, deletedAt: null });
+    if (!exists) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+
+    const resume = await setDefaultResume(req.userId, req.params.id);
+
+    res.json({ message: 'Default resume updated', resume: resume.toSummary() });
+  } catch (error) {
+    console.error('Set default resume error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete a version
+router.delete('/:id', authMiddleware, async (req, res) => {
+  try {
+    const resume = await Resume.findOne({ _id: req.params.id, user: req.userId, deletedAt: null });
+    if (!resume) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+
+    await deleteResume(resume);
+
+    res.json({ message: 'Resume deleted' });
+  } catch (error) {
+    console.error('Delete resume error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Download a version. Allowed for the owner, staff and posters of jobs it
+// was sent to.
+router.get('/:id/download', authMiddleware, async (req, res) => {
+  try {
+    const resume = await Resume.findById(req.params.id);
+
+    if (!resume || !await canDownloadResume(resume, req.user)) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+
+    try {
+      await sendResumeFile(resume, res);
+    } catch (fileError) {
+      console.error('Read resume file error:', fileError);
+      if (res.headersSent) {
+        return res.destroy();
+      }
+      res.removeHeader('Content-Disposition');
+      res.status(404).json({ error: 'Resume file not available' });
+    }
+  } catch (error) {
+    console.error('Download resume error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -2,10 +2,122 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const authMiddleware = require('../middleware/auth');
+const { requireEntitlement, limitAiCalls, consumeAiCall } = require('../middleware/premium');
+const { rateLimit } = require('../middleware/rateLimit');
 const multer = require('multer');
-const pdfParse = require('pdf-parse');
+const mongoose = require('mongoose');
+const ConnectionRequest = require('../models/ConnectionRequest');
+const { getBlockedIds, isBlockedBetween } = require('../utils/blocking');
+const {
+  VISIBILITY_LEVELS,
+  PRIVACY_DEFAULTS,
+  RECRUITER_ROLES,
+  getPrivacySettings,
+  serializeUser,
+  serializeUsers,
+  serializeRef
+} = require('../utils/privacy');
+const { HANDLE_PATTERN, RESERVED_HANDLES, profileUrl } = require('../utils/publicProfile');
+const Endorsement = require('../models/Endorsement');
+const Recommendation = require('../models/Recommendation');
+const ProfileView = require('../models/ProfileView');
+const { recordProfileView, getViewStats } = require('../utils/profileViews');
+const { hasEntitlement } = require('../utils/entitlements');
+const { storeResume } = require('../utils/resumes');
+const { extractResumeText } = require('../utils/resumeText');
+const { parseResume, mergeParsedResume } = require('../utils/resumeParser');
+const { toJsonResume, validateJsonResume, fromJsonResume, planImport } = require('../utils/jsonResume');
+const { getEndorsementSummary } = require('../utils/endorsements');
 const { createNotification } = require('./notifications');
 
+const resumeLimiter = rateLimit('resume');
+
+const MAX_VIEW_RANGE_DAYS = 365;
+
+// Location filters only match users who show their location publicly
+const PUBLIC_LOCATION = { 'privacy.location': { $nin: ['connections', 'only_me'] } };
+
+// Why a handle can't be used, or null if it's free for this user
+const checkHandle = async (handle, userId) => {
+  if (!HANDLE_PATTERN.test(handle)) {
+    return 'Handles are 3-30 characters: lowercase letters, numbers and dashes, not starting or ending with a dash';
+  }
+  if (RESERVED_HANDLES.includes(handle)) {
+    return 'This handle is reserved';
+  }
+  if (await User.exists({ handle, _id: { $ne: userId } })) {
+    return 'This handle is already taken';
+  }
+  return null;
+};
+
+// How long before the same person can be asked again after a declined or
+// withdrawn request
+const REREQUEST_COOLDOWN_MS = (parseInt(process.env.CONNECTION_REREQUEST_COOLDOWN_DAYS) || 14) * 24 * 60 * 60 * 1000;
+
+const isAiConfigured = () => !!(process.env.OPENROUTER_API_URL && process.env.OPENROUTER_API_KEY);
+
+// The AI gets the rule-based result as a draft to correct and complete
+const buildResumePrompt = (resumeText, draft) => `Parse this resume and extract structured information in JSON format with these fields:
+    - skills: array of technical and professional skills
+    - experience: array of objects with {title, company, location, startDate, endDate, current (boolean), description}
+    - education: array of objects with {degree, institution, location, startYear, endYear, fieldOfStudy, gpa}
+    - name: candidate's full name
+    - phone: phone number with country code if available
+    - email: email address
+    - location: current location/city
+    - address: object with {street, city, state, zipCode, country}
+    - headline: professional headline or title (e.g., "Senior Software Engineer")
+    - bio: a brief professional summary (2-3 sentences)
+    - linkedinUrl: LinkedIn profile URL if mentioned
+    - githubUrl: GitHub profile URL if mentioned
+    - portfolioUrl: Portfolio website URL if mentioned
+    - websiteUrl: Personal website URL if mentioned
+
+    A rule-based parser produced this draft. Fix anything it got wrong and fill in what it missed:
+    ${JSON.stringify(draft)}
+    
+    Resume:
+    ${resumeText}
+    
+    Return ONLY valid JSON, no markdown or explanation.`;
+
+const parseAiJson = (response) => JSON.parse(response.replace(/```json\n?|\n?```/g, '').trim());
+
+// Parse a resume with DeepSeek R1 via OpenRouter. Returns null if the call
+// fails or the reply isn't valid JSON.
+const parseResumeWithAi = async (resumeText, draft) => {
+  try {
+    const axios = require('axios');
+    const aiResponse = await axios.post(
+      process.env.OPENROUTER_API_URL,
+      {
+        model: 'deepseek/deepseek-r1',
+        messages: [
+          {
+            role: 'user',
+            content: buildResumePrompt(resumeText, draft)
+          }
+        ]
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
+          'Content-Type': 'application/json',
+          'HTTP-Referer': 'http://localhost:5000',
+          'X-Title': 'Job Portal Resume Parser'
+        }
+      }
+    );
+
+    console.log('AI response received');
+    return parseAiJson(aiResponse.data.choices[0].message.content);
+  } catch (error) {
+    console.error('AI resume parse error:', error.response?.data || error.message);
+    return null;
+  }
+};
+
 // Configure multer for file uploads (in-memory storage)
 const storage = multer.memoryStorage();
 const upload = multer({ 
@@ -16,21 +128,162 @@ const upload = multer({
 // Get user profile
 router.get('/:userId', authMiddleware, async (req, res) => {
   try {
+    if (await isBlockedBetween(req.userId, req.params.userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
     const user = await User.findById(req.params.userId)
       .select('-password')
-      .populate('connections', 'name email bio profilePicture');
+      .populate('connections', 'name email bio profilePicture privacy');
     
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    res.json({ user });
+    const blockedIds = await getBlockedIds(req.userId);
+    const endorsements = await getEndorsementSummary(user, {
+      viewerId: req.userId,
+      excludeIds: blockedIds
+    });
+
+    const recommendations = await Recommendation.find({
+      recipient: user._id,
+      status: 'approved',
+      author: { $nin: blockedIds }
+    })
+      .select('author experience relationship content approvedAt')
+      .populate('author', 'name headline profilePicture handle privacy')
+      .sort('-approvedAt');
+
+    res.json({
+      user: serializeUser(user, req.user),
+      endorsements,
+      recommendations: recommendations.map(item => serializeRef(item, 'author', req.user))
+    });
   } catch (error) {
     console.error('Get user error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// Get the current user's privacy settings, defaults filled in
+router.get('/settings/privacy', authMiddleware, async (req, res) => {
+  try {
+    res.json({
+      privacy: getPrivacySettings(req.user),
+      openToWork: req.user.openToWork
+    });
+  } catch (error) {
+    console.error('Get privacy settings error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update privacy settings, e.g. { "email": "only_me", "phone": "connections" }
+router.put('/settings/privacy', authMiddleware, async (req, res) => {
+  try {
+    const updateData = {};
+
+    for (const [setting, value] of Object.entries(req.body)) {
+      if (!(setting in PRIVACY_DEFAULTS)) {
+        return res.status(400).json({ error: `Unknown privacy setting: ${setting}` });
+      }
+      if (!VISIBILITY_LEVELS.includes(value)) {
+        return res.status(400).json({ error: `Visibility must be one of: ${VISIBILITY_LEVELS.join(', ')}` });
+      }
+      updateData[`privacy.${setting}`] = value;
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.userId,
+      updateData,
+      { new: true, runValidators: true }
+    ).select('privacy');
+
+    res.json({
+      message: 'Privacy settings updated',
+      privacy: getPrivacySettings(user)
+    });
+  } catch (error) {
+    console.error('Update privacy settings error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Turn "open to work" on or off. visibility 'recruiters' hides it from
+// everyone except recruiters.
+router.put('/settings/open-to-work', authMiddleware, async (req, res) => {
+  try {
+    const { enabled, visibility, roles } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false' });
+    }
+    if (visibility !== undefined && !['public', 'recruiters'].includes(visibility)) {
+      return res.status(400).json({ error: 'Visibility must be public or recruiters' });
+    }
+    if (roles !== undefined && !Array.isArray(roles)) {
+      return res.status(400).json({ error: 'Roles must be an array' });
+    }
+
+    const updateData = {
+      'openToWork.enabled': enabled,
+      'openToWork.updatedAt': new Date()
+    };
+    if (visibility) updateData['openToWork.visibility'] = visibility;
+    if (roles) updateData['openToWork.roles'] = roles.map(role => String(role).trim()).filter(Boolean).slice(0, 10);
+
+    const user = await User.findByIdAndUpdate(
+      req.userId,
+      updateData,
+      { new: true, runValidators: true }
+    ).select('openToWork');
+
+    res.json({
+      message: 'Open to work updated',
+      openToWork: user.openToWork
+    });
+  } catch (error) {
+    console.error('Update open to work error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Check whether a handle is available
+router.get('/handles/:handle', authMiddleware, async (req, res) => {
+  try {
+    const handle = req.params.handle.toLowerCase().trim();
+    const reason = await checkHandle(handle, req.userId);
+
+    res.json({ handle, available: !reason, reason: reason || undefined });
+  } catch (error) {
+    console.error('Check handle error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Claim or change the public profile handle
+router.put('/settings/handle', authMiddleware, async (req, res) => {
+  try {
+    const handle = String(req.body.handle || '').toLowerCase().trim();
+    const reason = await checkHandle(handle, req.userId);
+
+    if (reason) {
+      return res.status(400).json({ error: reason });
+    }
+
+    await User.findByIdAndUpdate(req.userId, { handle }, { runValidators: true });
+
+    res.json({ message: 'Handle updated', handle, url: profileUrl(handle) });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'This handle is already taken' });
+    }
+    console.error('Update handle error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Update user profile
 router.put('/profile', authMiddleware, async (req, res) => {
   try {
@@ -83,18 +336,27 @@ router.put('/profile', authMiddleware, async (req, res) => {
   }
 });
 
-// Update wallet address
+// Choose which verified wallet is used for payments
 router.put('/wallet', authMiddleware, async (req, res) => {
   try {
-    const { walletAddress, walletType } = req.body;
+    const { walletAddress } = req.body;
+
+    if (!walletAddress) {
+      return res.status(400).json({ error: 'Wallet address is required' });
+    }
 
-    if (!walletAddress || !walletType) {
-      return res.status(400).json({ error: 'Wallet address and type are required' });
+    // Only wallets proven through /api/auth/wallets can be used
+    const wallet = req.user.wallets.find(w => w.address.toLowerCase() === walletAddress.toLowerCase());
+    if (!wallet) {
+      return res.status(400).json({ error: 'Link and verify this wallet before using it' });
     }
 
     const user = await User.findByIdAndUpdate(
       req.userId,
-      { walletAddress, walletType },
+      {
+        walletAddress: wallet.address,
+        walletType: wallet.chain === 'solana' ? 'phantom' : 'metamask'
+      },
       { new: true }
     ).select('-password');
 
@@ -119,27 +381,22 @@ router.post('/profile/:userId/view', authMiddleware, async (req, res) => {
       return res.json({ message: 'Self-view not tracked' });
     }
 
-    const user = await User.findById(userId);
-    if (!user) {
+    const user = await User.findById(userId).select('_id isPremium premiumExpiresAt');
+    if (!user || await isBlockedBetween(viewerId, userId)) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Check if this user already viewed within last 24 hours
-    const recentView = user.viewedBy.find(
-      view => view.user.toString() === viewerId &&
-      (Date.now() - view.viewedAt.getTime()) < 24 * 60 * 60 * 1000
-    );
+    // Views from the same person are counted once per 24 hours
+    const recorded = await recordProfileView(user._id, req.user);
 
-    if (!recentView) {
-      user.viewedBy.push({ user: viewerId, viewedAt: new Date() });
-      user.profileViews = (user.profileViews || 0) + 1;
-      await user.save();
-      
-      // Create notification for profile view
+    if (recorded) {
+      // Only plans that can see their viewers learn who it was
+      const showViewer = hasEntitlement(user, 'seeProfileViewers');
       await createNotification({
         recipient: userId,
-        sender: viewerId,
-        type: 'profile_view'
+        sender: showViewer ? viewerId : undefined,
+        type: 'profile_view',
+        message: showViewer ? undefined : 'Someone viewed your profile'
       });
     }
 
@@ -150,110 +407,58 @@ router.post('/profile/:userId/view', authMiddleware, async (req, res) => {
   }
 });
 
-// Upload/parse PDF resume
-router.post('/resume/upload-pdf', authMiddleware, upload.single('resume'), async (req, res) => {
+// Upload/parse a PDF, DOCX or TXT resume
+router.post('/resume/upload-pdf', authMiddleware, resumeLimiter, upload.single('resume'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
     const filename = req.file.originalname;
-    let resumeText = '';
 
     console.log('Processing file:', filename, 'Size:', req.file.size, 'bytes');
 
-    // Extract text from PDF
-    if (filename.toLowerCase().endsWith('.pdf')) {
-      try {
-        const dataBuffer = req.file.buffer;
-        const data = await pdfParse(dataBuffer);
-        resumeText = data.text;
-        console.log('Extracted text length:', resumeText.length);
-      } catch (pdfError) {
-        console.error('PDF parse error:', pdfError);
-        return res.status(400).json({ 
-          error: 'Failed to parse PDF. The PDF may be scanned/image-based. Please use a text-based PDF or TXT file.' 
-        });
-      }
-    } else if (filename.toLowerCase().endsWith('.txt')) {
-      resumeText = req.file.buffer.toString('utf-8');
-    } else {
-      return res.status(400).json({ error: 'Only PDF and TXT files are supported' });
+    const extracted = await extractResumeText(req.file);
+    if (extracted.error) {
+      return res.status(400).json({ error: extracted.error });
     }
 
+    const resumeText = extracted.text;
+    console.log('Extracted text length:', resumeText.length);
+
     if (!resumeText || resumeText.trim().length < 50) {
       return res.status(400).json({ 
         error: 'Resume content is too short or empty. PDF may be scanned/image-based. Please use a text-based PDF.' 
       });
     }
 
-    console.log('Starting AI parsing...');
-
-    // Parse resume with DeepSeek R1 via OpenRouter
-    const axios = require('axios');
-    
-    const prompt = `Parse this resume and extract structured information in JSON format with these fields:
-    - skills: array of technical and professional skills
-    - experience: array of objects with {title, company, location, startDate, endDate, current (boolean), description}
-    - education: array of objects with {degree, institution, location, startYear, endYear, fieldOfStudy, gpa}
-    - name: candidate's full name
-    - phone: phone number with country code if available
-    - email: email address
-    - location: current location/city
-    - address: object with {street, city, state, zipCode, country}
-    - headline: professional headline or title (e.g., "Senior Software Engineer")
-    - bio: a brief professional summary (2-3 sentences)
-    - linkedinUrl: LinkedIn profile URL if mentioned
-    - githubUrl: GitHub profile URL if mentioned
-    - portfolioUrl: Portfolio website URL if mentioned
-    - websiteUrl: Personal website URL if mentioned
-    
-    Resume:
-    ${resumeText}
-    
-    Return ONLY valid JSON, no markdown or explanation.`;
+    // Keep the file as the default resume version so it can be downloaded
+    // and sent with applications
+    const stored = await storeResume(req.userId, req.file, { name: req.body.name, makeDefault: true });
+    if (stored.error) {
+      return res.status(400).json({ error: stored.error });
+    }
 
-    const aiResponse = await axios.post(
-      process.env.OPENROUTER_API_URL,
-      {
-        model: 'deepseek/deepseek-r1',
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-          'Content-Type': 'application/json',
-          'HTTP-Referer': 'http://localhost:5000',
-          'X-Title': 'Job Portal Resume Parser'
-        }
+    // The rule-based result always works; AI refines it when it's set up
+    // and the user has AI calls left today
+    let parsedData = parseResume(resumeText);
+    let parsedWith = 'rules';
+
+    if (isAiConfigured() && await consumeAiCall(req.user)) {
+      console.log('Starting AI parsing...');
+      const aiData = await parseResumeWithAi(resumeText, parsedData);
+      if (aiData) {
+        parsedData = mergeParsedResume(parsedData, aiData);
+        parsedWith = 'ai';
       }
-    );
-    
-    const response = aiResponse.data.choices[0].message.content;
-    
-    console.log('AI response received');
-
-    // Clean response and parse JSON
-    let parsedData;
-    try {
-      const jsonStr = response.replace(/```json\n?|\n?```/g, '').trim();
-      parsedData = JSON.parse(jsonStr);
-    } catch (parseError) {
-      console.error('JSON parse error:', parseError);
-      return res.status(400).json({ error: 'Failed to parse AI response. Please try again.' });
     }
 
     // Store resume
-    const resumeUrl = `resume_${Date.now()}_${filename}`;
     const resumeData = {
       filename,
-      url: resumeUrl,
+      url: stored.resume.toSummary().downloadUrl,
       uploadedAt: new Date(),
+      version: stored.resume._id,
       parsed: parsedData
     };
 
@@ -268,7 +473,9 @@ router.post('/resume/upload-pdf', authMiddleware, upload.single('resume'), async
     res.json({ 
       message: 'Resume uploaded and parsed successfully',
       user,
-      parsedData
+      resume: stored.resume.toSummary(),
+      parsedData,
+      parsedWith
     });
   } catch (error) {
     console.error('Upload PDF resume error:', error);
@@ -277,7 +484,7 @@ router.post('/resume/upload-pdf', authMiddleware, upload.single('resume'), async
 });
 
 // Generate professional bio/about from resume
-router.post('/resume/generate-bio', authMiddleware, async (req, res) => {
+router.post('/resume/generate-bio', authMiddleware, resumeLimiter, limitAiCalls, async (req, res) => {
   try {
     const user = await User.findById(req.userId).select('resume name experience education skills');
 
@@ -364,7 +571,7 @@ router.post('/resume/upload', authMiddleware, async (req, res) => {
 });
 
 // Parse resume and auto-fill profile
-router.post('/resume/parse', authMiddleware, async (req, res) => {
+router.post('/resume/parse', authMiddleware, resumeLimiter, async (req, res) => {
   try {
     const { resumeText } = req.body;
 
@@ -372,47 +579,28 @@ router.post('/resume/parse', authMiddleware, async (req, res) => {
       return res.status(400).json({ error: 'Resume text is required' });
     }
 
-    // Use Gemini AI to parse resume
-    const { GoogleGenerativeAI } = require('@google/generative-ai');
-    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash-exp' });
-
-    const prompt = `Parse this resume and extract structured information in JSON format with these fields:
-    - skills: array of technical and professional skills
-    - experience: array of objects with {title, company, location, startDate, endDate, current (boolean), description}
-    - education: array of objects with {degree, institution, location, startYear, endYear, fieldOfStudy, gpa}
-    - name: candidate's full name
-    - phone: phone number with country code if available
-    - email: email address
-    - location: current location/city
-    - address: object with {street, city, state, zipCode, country}
-    - headline: professional headline or title (e.g., "Senior Software Engineer")
-    - bio: a brief professional summary (2-3 sentences)
-    - linkedinUrl: LinkedIn profile URL if mentioned
-    - githubUrl: GitHub profile URL if mentioned
-    - portfolioUrl: Portfolio website URL if mentioned
-    - websiteUrl: Personal website URL if mentioned
-    
-    Resume:
-    ${resumeText}
-    
-    Return ONLY valid JSON, no markdown or explanation.`;
+    let parsedData = parseResume(resumeText);
+    let parsedWith = 'rules';
 
-    const result = await model.generateContent(prompt);
-    const response = result.response.text();
-    
-    // Clean response and parse JSON
-    let parsedData;
-    try {
-      const jsonStr = response.replace(/```json\n?|\n?```/g, '').trim();
-      parsedData = JSON.parse(jsonStr);
-    } catch (parseError) {
-      return res.status(400).json({ error: 'Failed to parse resume data' });
+    // Use Gemini AI to refine the rule-based result when available
+    if (process.env.GEMINI_API_KEY && await consumeAiCall(req.user)) {
+      try {
+        const { GoogleGenerativeAI } = require('@google/generative-ai');
+        const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+        const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash-exp' });
+
+        const result = await model.generateContent(buildResumePrompt(resumeText, parsedData));
+        parsedData = mergeParsedResume(parsedData, parseAiJson(result.response.text()));
+        parsedWith = 'ai';
+      } catch (aiError) {
+        console.error('Gemini resume parse error:', aiError.message);
+      }
     }
 
     res.json({ 
       message: 'Resume parsed successfully',
-      data: parsedData
+      data: parsedData,
+      parsedWith
     });
   } catch (error) {
     console.error('Parse resume error:', error);
@@ -466,19 +654,88 @@ router.post('/profile/autofill', authMiddleware, async (req, res) => {
   }
 });
 
+// Export the current user's profile as a JSON Resume
+router.get('/me/export/json-resume', authMiddleware, async (req, res) => {
+  try {
+    const filename = `${req.user.handle || 'resume'}.json`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.json(toJsonResume(req.user));
+  } catch (error) {
+    console.error('Export JSON Resume error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Import a JSON Resume, sent as a .json file upload or as `resume` in a JSON
+// body. Existing profile values are never overwritten: imported values only
+// fill empty fields and add missing skills, roles and schools. With
+// dryRun=true nothing is saved and only the diff is returned.
+router.post('/me/import/json-resume', authMiddleware, upload.single('resume'), async (req, res) => {
+  try {
+    let data = req.body.resume;
+
+    if (req.file) {
+      try {
+        data = JSON.parse(req.file.buffer.toString('utf-8'));
+      } catch (parseError) {
+        return res.status(400).json({ error: 'The uploaded file is not valid JSON' });
+      }
+    }
+
+    if (!data) {
+      return res.status(400).json({ error: 'A JSON Resume is required' });
+    }
+
+    const errors = validateJsonResume(data);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid JSON Resume', details: errors });
+    }
+
+    const dryRun = [req.query.dryRun, req.body.dryRun].some(value => value === true || value === 'true');
+    const { diff, update, hasChanges } = planImport(req.user, fromJsonResume(data));
+
+    if (dryRun || !hasChanges) {
+      return res.json({ dryRun, hasChanges, diff });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.userId,
+      update,
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    res.json({
+      message: 'JSON Resume imported successfully',
+      dryRun,
+      hasChanges,
+      diff,
+      user
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Import JSON Resume error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Search users
 router.get('/search/all', authMiddleware, async (req, res) => {
   try {
-    const { query, q, skills, location, limit = 50 } = req.query;
+    const { query, q, skills, location, openToWork, limit = 50 } = req.query;
     const searchTerm = query || q;
 
     // If no search term provided, return empty results
-    if (!searchTerm && !skills && !location) {
+    if (!searchTerm && !skills && !location && openToWork !== 'true') {
       return res.json({ users: [], count: 0 });
     }
 
+    // Exclude current user and blocked users from search results
+    const blockedIds = await getBlockedIds(req.userId);
     const searchQuery = {
-      _id: { $ne: req.userId } // Exclude current user from search results
+      _id: { $nin: [req.userId, ...blockedIds] }
     };
 
     if (searchTerm) {
@@ -487,7 +744,7 @@ router.get('/search/all', authMiddleware, async (req, res) => {
         { bio: { $regex: searchTerm, $options: 'i' } },
         { headline: { $regex: searchTerm, $options: 'i' } },
         { skills: { $regex: searchTerm, $options: 'i' } },
-        { location: { $regex: searchTerm, $options: 'i' } }
+        { location: { $regex: searchTerm, $options: 'i' }, ...PUBLIC_LOCATION }
       ];
     }
 
@@ -498,6 +755,15 @@ router.get('/search/all', authMiddleware, async (req, res) => {
 
     if (location && !searchTerm) {
       searchQuery.location = { $regex: location, $options: 'i' };
+      Object.assign(searchQuery, PUBLIC_LOCATION);
+    }
+
+    // Only match the flag where the searcher is allowed to see it
+    if (openToWork === 'true') {
+      searchQuery['openToWork.enabled'] = true;
+      if (!RECRUITER_ROLES.includes(req.user.role)) {
+        searchQuery['openToWork.visibility'] = { $ne: 'recruiters' };
+      }
     }
 
     const users = await User.find(searchQuery)
@@ -505,51 +771,202 @@ router.get('/search/all', authMiddleware, async (req, res) => {
       .limit(parseInt(limit))
       .sort({ name: 1 });
 
-    res.json({ users, count: users.length });
+    res.json({ users: serializeUsers(users, req.user), count: users.length });
   } catch (error) {
     console.error('Search users error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Add connection
+// Link two users as connections
+const connectUsers = async (userId, otherUserId) => {
+  await User.findByIdAndUpdate(userId, { $addToSet: { connections: otherUserId } });
+  await User.findByIdAndUpdate(otherUserId, { $addToSet: { connections: userId } });
+};
+
+// Accept a pending request addressed to the current user
+const acceptRequest = async (request) => {
+  request.status = 'accepted';
+  request.respondedAt = new Date();
+  await request.save();
+
+  await connectUsers(request.from, request.to);
+
+  await createNotification({
+    recipient: request.from,
+    sender: request.to,
+    type: 'connection_accepted'
+  });
+};
+
+// Send a connection request (with an optional note)
 router.post('/connections/:userId', authMiddleware, async (req, res) => {
   try {
     const targetUserId = req.params.userId;
+    const note = (req.body.note || '').trim();
 
     if (targetUserId === req.userId) {
       return res.status(400).json({ error: 'Cannot connect with yourself' });
     }
+    if (!mongoose.Types.ObjectId.isValid(targetUserId)) {
+      return res.status(400).json({ error: 'Invalid user id' });
+    }
+    if (note.length > 300) {
+      return res.status(400).json({ error: 'Note must be 300 characters or fewer' });
+    }
 
-    const user = await User.findById(req.userId);
-    
-    if (user.connections.includes(targetUserId)) {
+    const target = await User.findById(targetUserId).select('_id');
+    if (!target || await isBlockedBetween(req.userId, targetUserId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (req.user.connections.some(id => id.toString() === targetUserId)) {
       return res.status(400).json({ error: 'Already connected' });
     }
 
-    user.connections.push(targetUserId);
-    await user.save();
+    // They already asked us, so sending back counts as accepting
+    const incoming = await ConnectionRequest.findOne({
+      from: targetUserId,
+      to: req.userId,
+      status: 'pending'
+    });
+    if (incoming) {
+      await acceptRequest(incoming);
+      return res.json({ message: 'Connection request accepted', request: incoming });
+    }
 
-    // Add reverse connection
-    await User.findByIdAndUpdate(targetUserId, {
-      $addToSet: { connections: req.userId }
+    const pending = await ConnectionRequest.findOne({
+      from: req.userId,
+      to: targetUserId,
+      status: 'pending'
     });
-    
-    // Create notifications for both users
+    if (pending) {
+      return res.status(400).json({ error: 'Connection request already sent' });
+    }
+
+    // Don't let a declined or withdrawn request be resent straight away
+    const last = await ConnectionRequest.findOne({
+      from: req.userId,
+      to: targetUserId,
+      status: { $in: ['declined', 'withdrawn'] }
+    }).sort('-respondedAt');
+    if (last && Date.now() - last.respondedAt.getTime() < REREQUEST_COOLDOWN_MS) {
+      const retryAt = new Date(last.respondedAt.getTime() + REREQUEST_COOLDOWN_MS);
+      return res.status(429).json({
+        error: 'You cannot send this person another request yet',
+        retryAt
+      });
+    }
+
+    const request = await ConnectionRequest.create({
+      from: req.userId,
+      to: targetUserId,
+      note
+    });
+
     await createNotification({
       recipient: targetUserId,
       sender: req.userId,
-      type: 'connection_accepted'
+      type: 'connection_request',
+      message: note || undefined
     });
-    await createNotification({
-      recipient: req.userId,
-      sender: targetUserId,
-      type: 'connection_accepted'
+
+    res.status(201).json({ message: 'Connection request sent', request });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'Connection request already sent' });
+    }
+    console.error('Send connection request error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Requests waiting for the current user's answer
+router.get('/connections/requests/incoming', authMiddleware, async (req, res) => {
+  try {
+    const requests = await ConnectionRequest.find({ to: req.userId, status: 'pending' })
+      .populate('from', 'name headline profilePicture skills location privacy')
+      .sort('-createdAt');
+
+    res.json({ requests: requests.map(request => serializeRef(request, 'from', req.user)) });
+  } catch (error) {
+    console.error('Get incoming requests error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Requests the current user has sent that are still pending
+router.get('/connections/requests/outgoing', authMiddleware, async (req, res) => {
+  try {
+    const requests = await ConnectionRequest.find({ from: req.userId, status: 'pending' })
+      .populate('to', 'name headline profilePicture skills location privacy')
+      .sort('-createdAt');
+
+    res.json({ requests: requests.map(request => serializeRef(request, 'to', req.user)) });
+  } catch (error) {
+    console.error('Get outgoing requests error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Accept a request
+router.post('/connections/requests/:requestId/accept', authMiddleware, async (req, res) => {
+  try {
+    const request = await ConnectionRequest.findOne({
+      _id: req.params.requestId,
+      to: req.userId,
+      status: 'pending'
     });
 
-    res.json({ message: 'Connection added successfully' });
+    if (!request) {
+      return res.status(404).json({ error: 'Connection request not found' });
+    }
+
+    await acceptRequest(request);
+
+    res.json({ message: 'Connection request accepted', request });
   } catch (error) {
-    console.error('Add connection error:', error);
+    console.error('Accept connection request error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Decline a request. The sender isn't notified.
+router.post('/connections/requests/:requestId/decline', authMiddleware, async (req, res) => {
+  try {
+    const request = await ConnectionRequest.findOneAndUpdate(
+      { _id: req.params.requestId, to: req.userId, status: 'pending' },
+      { status: 'declined', respondedAt: new Date() },
+      { new: true }
+    );
+
+    if (!request) {
+      return res.status(404).json({ error: 'Connection request not found' });
+    }
+
+    res.json({ message: 'Connection request declined', request });
+  } catch (error) {
+    console.error('Decline connection request error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Withdraw a request the current user sent
+router.delete('/connections/requests/:requestId', authMiddleware, async (req, res) => {
+  try {
+    const request = await ConnectionRequest.findOneAndUpdate(
+      { _id: req.params.requestId, from: req.userId, status: 'pending' },
+      { status: 'withdrawn', respondedAt: new Date() },
+      { new: true }
+    );
+
+    if (!request) {
+      return res.status(404).json({ error: 'Connection request not found' });
+    }
+
+    res.json({ message: 'Connection request withdrawn', request });
+  } catch (error) {
+    console.error('Withdraw connection request error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
@@ -558,9 +975,9 @@ router.post('/connections/:userId', authMiddleware, async (req, res) => {
 router.get('/connections/list', authMiddleware, async (req, res) => {
   try {
     const user = await User.findById(req.userId)
-      .populate('connections', 'name email bio profilePicture skills location');
+      .populate('connections', 'name email bio profilePicture skills location privacy openToWork');
 
-    res.json({ connections: user.connections });
+    res.json({ connections: serializeUsers(user.connections, req.user) });
   } catch (error) {
     console.error('Get connections error:', error);
     res.status(500).json({ error: 'Server error' });
@@ -587,18 +1004,257 @@ router.delete('/connections/:userId', authMiddleware, async (req, res) => {
   }
 });
 
+// Endorsements on a user's skills with every endorser
+router.get('/endorsements/:userId', authMiddleware, async (req, res) => {
+  try {
+    if (await isBlockedBetween(req.userId, req.params.userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = await User.findById(req.params.userId).select('skills');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const endorsements = await getEndorsementSummary(user, {
+      viewerId: req.userId,
+      excludeIds: await getBlockedIds(req.userId),
+      endorserLimit: Infinity
+    });
+
+    res.json({ endorsements });
+  } catch (error) {
+    console.error('Get endorsements error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Endorse one of a connection's skills
+router.post('/endorsements/:userId', authMiddleware, async (req, res) => {
+  try {
+    const targetUserId = req.params.userId;
+    const { skill } = req.body;
+
+    if (!skill || !String(skill).trim()) {
+      return res.status(400).json({ error: 'Skill is required' });
+    }
+    if (targetUserId === req.userId) {
+      return res.status(400).json({ error: 'Cannot endorse yourself' });
+    }
+    if (!req.user.connections.some(id => id.toString() === targetUserId)) {
+      return res.status(403).json({ error: 'You can only endorse your connections' });
+    }
+
+    const target = await User.findById(targetUserId).select('skills');
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Only skills the user actually lists can be endorsed
+    const skillKey = Endorsement.skillKey(skill);
+    const listedSkill = target.skills.find(item => Endorsement.skillKey(item) === skillKey);
+    if (!listedSkill) {
+      return res.status(400).json({ error: 'This user does not list that skill' });
+    }
+
+    const existing = await Endorsement.findOne({ user: targetUserId, endorser: req.userId, skillKey });
+    if (existing) {
+      return res.status(400).json({ error: 'Already endorsed' });
+    }
+
+    await Endorsement.create({
+      user: targetUserId,
+      endorser: req.userId,
+      skill: listedSkill,
+      skillKey
+    });
+
+    await createNotification({
+      recipient: targetUserId,
+      sender: req.userId,
+      type: 'skill_endorsed',
+      message: `endorsed you for ${listedSkill}`
+    });
+
+    const count = await Endorsement.countDocuments({ user: targetUserId, skillKey });
+
+    res.status(201).json({ message: 'Skill endorsed', skill: listedSkill, count });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'Already endorsed' });
+    }
+    console.error('Endorse skill error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Withdraw an endorsement
+router.delete('/endorsements/:userId/:skill', authMiddleware, async (req, res) => {
+  try {
+    const skillKey = Endorsement.skillKey(req.params.skill);
+    const endorsement = await Endorsement.findOneAndDelete({
+      user: req.params.userId,
+      endorser: req.userId,
+      skillKey
+    });
+
+    if (!endorsement) {
+      return res.status(404).json({ error: 'Endorsement not found' });
+    }
+
+    const count = await Endorsement.countDocuments({ user: req.params.userId, skillKey });
+
+    res.json({ message: 'Endorsement removed', skill: endorsement.skill, count });
+  } catch (error) {
+    console.error('Remove endorsement error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// List blocked users
+router.get('/blocks/list', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId)
+      .populate('blockedUsers', 'name profilePicture headline');
+
+    res.json({ blockedUsers: user.blockedUsers });
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Block a user. This also ends any connection or pending request between you.
+router.post('/blocks/:userId', authMiddleware, async (req, res) => {
+  try {
+    const targetUserId = req.params.userId;
+
+    if (targetUserId === req.userId) {
+      return res.status(400).json({ error: 'Cannot block yourself' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(targetUserId)) {
+      return res.status(400).json({ error: 'Invalid user id' });
+    }
+
+    const target = await User.findById(targetUserId).select('_id');
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await User.findByIdAndUpdate(req.userId, {
+      $addToSet: { blockedUsers: targetUserId },
+      $pull: { connections: targetUserId, mutedUsers: targetUserId }
+    });
+    await User.findByIdAndUpdate(targetUserId, {
+      $pull: { connections: req.userId }
+    });
+
+    // Close pending requests in both directions
+    await ConnectionRequest.updateMany(
+      { from: req.userId, to: targetUserId, status: 'pending' },
+      { status: 'withdrawn', respondedAt: new Date() }
+    );
+    await ConnectionRequest.updateMany(
+      { from: targetUserId, to: req.userId, status: 'pending' },
+      { status: 'declined', respondedAt: new Date() }
+    );
+
+    res.json({ message: 'User blocked' });
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Unblock a user. A removed connection is not restored.
+router.delete('/blocks/:userId', authMiddleware, async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.userId, {
+      $pull: { blockedUsers: req.params.userId }
+    });
+
+    res.json({ message: 'User unblocked' });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// List muted users
+router.get('/mutes/list', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId)
+      .populate('mutedUsers', 'name profilePicture headline');
+
+    res.json({ mutedUsers: user.mutedUsers });
+  } catch (error) {
+    console.error('Get muted users error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Mute a user: hides their posts and notifications, nothing else
+router.post('/mutes/:userId', authMiddleware, async (req, res) => {
+  try {
+    const targetUserId = req.params.userId;
+
+    if (targetUserId === req.userId) {
+      return res.status(400).json({ error: 'Cannot mute yourself' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(targetUserId)) {
+      return res.status(400).json({ error: 'Invalid user id' });
+    }
+
+    const target = await User.findById(targetUserId).select('_id');
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await User.findByIdAndUpdate(req.userId, {
+      $addToSet: { mutedUsers: targetUserId }
+    });
+
+    res.json({ message: 'User muted' });
+  } catch (error) {
+    console.error('Mute user error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Unmute a user
+router.delete('/mutes/:userId', authMiddleware, async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.userId, {
+      $pull: { mutedUsers: req.params.userId }
+    });
+
+    res.json({ message: 'User unmuted' });
+  } catch (error) {
+    console.error('Unmute user error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get suggested connections
 router.get('/suggestions/connections', authMiddleware, async (req, res) => {
   try {
     const user = await User.findById(req.userId);
     const limit = parseInt(req.query.limit) || 10;
 
+    // Skip people with a request pending in either direction
+    const pending = await ConnectionRequest.find({
+      status: 'pending',
+      $or: [{ from: req.userId }, { to: req.userId }]
+    }).select('from to');
+    const pendingIds = pending.map(r => (r.from.toString() === req.userId.toString() ? r.to : r.from));
+    const blockedIds = await getBlockedIds(req.userId);
+
     // Find users with similar skills who aren't already connected
     const suggestions = await User.find({
-      _id: { $ne: req.userId, $nin: user.connections },
+      _id: { $ne: req.userId, $nin: [...user.connections, ...pendingIds, ...blockedIds] },
       skills: { $in: user.skills }
     })
-      .select('name email bio skills location')
+      .select('name email bio skills location connections privacy openToWork')
       .limit(limit);
 
     // Add mutual connections count
@@ -609,7 +1265,7 @@ router.get('/suggestions/connections', authMiddleware, async (req, res) => {
         ).length;
 
         return {
-          ...suggestion.toObject(),
+          ...serializeUser(suggestion, req.user),
           mutualConnections
         };
       })
@@ -662,6 +1318,60 @@ router.get('/stats/profile', authMiddleware, async (req, res) => {
   }
 });
 
+// Profile view analytics for a range such as ?range=30d. Everyone gets the
+// counts and breakdowns; who the viewers are needs premium.
+router.get('/stats/views', authMiddleware, async (req, res) => {
+  try {
+    const match = /^(\d+)d$/.exec(req.query.range || '30d');
+    const days = match && parseInt(match[1]);
+
+    if (!days || days > MAX_VIEW_RANGE_DAYS) {
+      return res.status(400).json({ error: `Range must be between 1d and ${MAX_VIEW_RANGE_DAYS}d` });
+    }
+
+    const includeIdentities = hasEntitlement(req.user, 'seeProfileViewers');
+    const stats = await getViewStats(req.userId, {
+      days,
+      viewer: req.user,
+      includeIdentities,
+      excludeIds: await getBlockedIds(req.userId)
+    });
+
+    res.json({
+      range: `${days}d`,
+      lifetimeViews: req.user.profileViews || 0,
+      ...stats,
+      viewerIdentities: includeIdentities,
+      upgradeRequired: includeIdentities ? undefined : true
+    });
+  } catch (error) {
+    console.error('Get profile view stats error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get who viewed your profile (premium)
+router.get('/stats/viewers', authMiddleware, requireEntitlement('seeProfileViewers'), async (req, res) => {
+  try {
+    const views = await ProfileView.find({
+      profile: req.userId,
+      viewer: { $nin: await getBlockedIds(req.userId) }
+    })
+      .populate('viewer', 'name profilePicture headline')
+      .sort('-viewedAt')
+      .limit(100);
+
+    const viewers = views
+      .filter(view => view.viewer)
+      .map(view => ({ user: view.viewer, viewedAt: view.viewedAt }));
+
+    res.json({ viewers });
+  } catch (error) {
+    console.error('Get profile viewers error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Helper function to calculate profile completeness
 function calculateProfileCompleteness(user) {
   let score = 0;
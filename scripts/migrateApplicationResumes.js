@@ -0,0 +1,64 @@
+// One-off move of resume files embedded in Job.applicants into file storage
+// as resume versions:
+//   npm run migrate:application-resumes
+require('dotenv').config();
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const Resume = require('../models/Resume');
+const { getStorage, getDefaultStorageName } = require('../utils/storage');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const storageName = getDefaultStorageName();
+  const storage = getStorage(storageName);
+
+  // applicants.resume is no longer in the schema, so read the raw documents
+  const cursor = Job.collection.find(
+    { 'applicants.resume.data': { $exists: true } },
+    { projection: { title: 1, applicants: 1 } }
+  );
+
+  let moved = 0;
+
+  for await (const job of cursor) {
+    for (const applicant of job.applicants) {
+      if (!applicant.resume || !applicant.resume.data) continue;
+
+      const buffer = Buffer.from(applicant.resume.data.buffer || applicant.resume.data);
+      const filename = applicant.resume.filename || 'resume.pdf';
+      const contentType = applicant.resume.contentType || 'application/pdf';
+
+      const storageKey = await storage.save(buffer, { filename, contentType });
+      const resume = await Resume.create({
+        user: applicant.userId,
+        name: `${job.title} application`,
+        filename,
+        contentType,
+        size: buffer.length,
+        sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+        storage: storageName,
+        storageKey,
+        createdAt: applicant.resume.uploadedAt || applicant.appliedAt || new Date()
+      });
+
+      await Job.collection.updateOne(
+        { _id: job._id, 'applicants._id': applicant._id },
+        {
+          $set: { 'applicants.$.resumeVersion': resume._id },
+          $unset: { 'applicants.$.resume': 1 }
+        }
+      );
+      moved++;
+    }
+  }
+
+  console.log(`Moved ${moved} application resumes to ${storageName} storage`);
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error('Migrate application resumes error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,26 @@
+// One-off for the email verification rollout: accounts created before it
+// never got a verification email, so mark them verified instead of locking
+// them out of requireVerifiedEmail routes:
+//   npm run migrate:email-verified
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Accounts from before the rollout have no emailVerified field at all; the
+  // schema default only applies when reading them. Query the raw collection.
+  const result = await User.collection.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+
+  console.log(`Marked ${result.modifiedCount} existing users as verified`);
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error('Migrate email verified error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,46 @@
+// One-off move of the old User.viewedBy arrays into the ProfileView
+// collection:
+//   npm run migrate:profile-views
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ProfileView = require('../models/ProfileView');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // viewedBy is no longer in the schema, so read the raw documents
+  const cursor = User.collection.find(
+    { 'viewedBy.0': { $exists: true } },
+    { projection: { viewedBy: 1 } }
+  );
+
+  let users = 0;
+  let views = 0;
+
+  for await (const user of cursor) {
+    const docs = user.viewedBy
+      .filter(view => view.user)
+      .map(view => ({
+        profile: user._id,
+        viewer: view.user,
+        viewedAt: view.viewedAt || new Date()
+      }));
+
+    if (docs.length) {
+      await ProfileView.insertMany(docs);
+    }
+    await User.collection.updateOne({ _id: user._id }, { $unset: { viewedBy: 1 } });
+
+    users++;
+    views += docs.length;
+  }
+
+  console.log(`Moved ${views} views for ${users} users`);
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error('Migrate profile views error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,38 @@
+// Give a user a role from the command line, e.g. to create the first admin:
+//   npm run set-role -- admin@example.com admin
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const ROLES = User.schema.path('role').enumValues;
+
+const run = async () => {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !ROLES.includes(role)) {
+    console.error(`Usage: npm run set-role -- <email> <${ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { role },
+    { new: true }
+  );
+
+  if (!user) {
+    console.error(`No user with email ${email}`);
+  } else {
+    console.log(`${user.email} is now ${user.role}`);
+  }
+
+  await mongoose.disconnect();
+  process.exit(user ? 0 : 1);
+};
+
+run().catch((error) => {
+  console.error('Set role error:', error);
+  process.exit(1);
+});
@@ -15,10 +15,26 @@ const aiRoutes = require('./routes/ai');
 const paymentRoutes = require('./routes/payments');
 const messageRoutes = require('./routes/messages');
 const notificationRoutes = require('./routes/notifications');
+const escrowRoutes = require('./routes/escrow');
+const adminRoutes = require('./routes/admin');
+const publicRoutes = require('./routes/public');
+const recommendationRoutes = require('./routes/recommendations');
+const resumeRoutes = require('./routes/resumes');
+
+// Import background workers
+const { startPaymentConfirmer } = require('./workers/paymentConfirmer');
+const { startPremiumSweeper } = require('./workers/premiumSweeper');
+const { startEscrowReconciler } = require('./workers/escrowReconciler');
 
 // Initialize Express app
 const app = express();
 
+// Behind a proxy (e.g. Vercel) req.ip must come from X-Forwarded-For for
+// per-IP rate limits to work
+if (process.env.TRUST_PROXY === 'true') {
+  app.set('trust proxy', 1);
+}
+
 // Middleware
 const allowedOrigins = [
   'http://localhost:3000',
@@ -49,7 +65,14 @@ mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ MongoDB Connected Successfully'))
+.then(() => {
+  console.log('✅ MongoDB Connected Successfully');
+
+  // Resume confirming any payments left pending before a restart
+  startPaymentConfirmer();
+  startPremiumSweeper();
+  startEscrowReconciler();
+})
 .catch((err) => console.error('❌ MongoDB Connection Error:', err));
 
 // Routes
@@ -61,6 +84,11 @@ app.use('/api/ai', aiRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/escrow', escrowRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/public', publicRoutes);
+app.use('/api/recommendations', recommendationRoutes);
+app.use('/api/resumes', resumeRoutes);
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,79 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const adminRouter = require('../routes/admin');
+
+const handlerFor = (method, path) => {
+  const layer = adminRouter.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const handlers = layer.route.stack;
+  return handlers[handlers.length - 1].handle;
+};
+
+const call = async (handler, req) => {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await handler({ query: {}, body: {}, ip: '127.0.0.1', ...req }, res);
+  return res;
+};
+
+// A suspended account with the given role
+const stubTarget = (role) => {
+  const target = User.hydrate({ _id: new mongoose.Types.ObjectId(), role });
+  mock.method(User, 'findById', () => ({ select: async () => target }));
+  const update = mock.method(User, 'findByIdAndUpdate', () => ({
+    select: async () => User.hydrate({ _id: target._id, suspension: { suspendedAt: new Date() } })
+  }));
+  mock.method(AuditLog, 'create', async () => ({}));
+  return { target, update };
+};
+
+const staff = (role) => ({ _id: new mongoose.Types.ObjectId(), role });
+
+afterEach(() => mock.restoreAll());
+
+test('a moderator cannot lift a suspension on a staff account', async () => {
+  const { target, update } = stubTarget('admin');
+  const moderator = staff('moderator');
+
+  const res = await call(handlerFor('post', '/users/:id/unsuspend'), {
+    params: { id: target._id.toString() },
+    userId: moderator._id,
+    user: moderator
+  });
+
+  assert.strictEqual(res.statusCode, 403);
+  assert.strictEqual(update.mock.callCount(), 0);
+});
+
+test('a moderator can lift a suspension on a regular account', async () => {
+  const { target, update } = stubTarget('user');
+  const moderator = staff('moderator');
+
+  const res = await call(handlerFor('post', '/users/:id/unsuspend'), {
+    params: { id: target._id.toString() },
+    userId: moderator._id,
+    user: moderator
+  });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(update.mock.callCount(), 1);
+});
+
+test('an admin can lift a suspension on a moderator', async () => {
+  const { target } = stubTarget('moderator');
+  const admin = staff('admin');
+
+  const res = await call(handlerFor('post', '/users/:id/unsuspend'), {
+    params: { id: target._id.toString() },
+    userId: admin._id,
+    user: admin
+  });
+
+  assert.strictEqual(res.statusCode, 200);
+});
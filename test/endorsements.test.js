@@ -0,0 +1,33 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Endorsement = require('../models/Endorsement');
+const { getEndorsementSummary } = require('../utils/endorsements');
+
+// A thenable stand-in for Endorsement.find().sort().populate()
+const stubFind = (docs) => {
+  const query = {
+    sort: () => query,
+    populate: () => query,
+    then: (resolve, reject) => Promise.resolve(docs).then(resolve, reject)
+  };
+  mock.method(Endorsement, 'find', () => query);
+};
+
+afterEach(() => mock.restoreAll());
+
+test('endorsements from deleted users are left out of the summary', async () => {
+  const viewerId = new mongoose.Types.ObjectId();
+  const endorser = { _id: new mongoose.Types.ObjectId(), name: 'Grace' };
+  stubFind([
+    { skillKey: Endorsement.skillKey('Node.js'), endorser: null },
+    { skillKey: Endorsement.skillKey('Node.js'), endorser }
+  ]);
+
+  const [summary] = await getEndorsementSummary({ _id: new mongoose.Types.ObjectId(), skills: ['Node.js'] }, { viewerId });
+
+  assert.strictEqual(summary.count, 1);
+  assert.deepStrictEqual(summary.endorsers, [endorser]);
+  assert.strictEqual(summary.endorsedByMe, false);
+});
@@ -0,0 +1,287 @@
+// Escrow payouts and transfer checks against a local Hardhat chain. The chain is started for the
+// run; milestones are kept in memory in place of MongoDB.
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawn } = require('child_process');
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+
+const RPC_PORT = parseInt(process.env.TEST_HARDHAT_PORT) || 18545;
+const RPC_URL = `http://127.0.0.1:${RPC_PORT}`;
+
+// Hardhat's well-known, pre-funded development account #0
+const ESCROW_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const FREELANCER_ADDRESS = ethers.Wallet.createRandom().address;
+const POSTER_ADDRESS = ethers.Wallet.createRandom().address;
+
+process.env.ETH_RPC_URL = RPC_URL;
+process.env.ESCROW_PRIVATE_KEY = ESCROW_KEY;
+
+// Payout notifications are not under test
+const notifications = require('../routes/notifications');
+const sentNotifications = [];
+notifications.createNotification = async (notification) => {
+  sentNotifications.push(notification);
+  return notification;
+};
+
+const Milestone = require('../models/Milestone');
+const User = require('../models/User');
+const { getProvider, verifyNativeTransfer } = require('../utils/evm');
+const { payOutMilestone, resolveDispute } = require('../utils/escrow');
+const { reconcileMilestone } = require('../workers/escrowReconciler');
+
+let hardhat;
+let provider;
+
+const waitForChain = async () => {
+  for (let attempt = 0; attempt < 120; attempt++) {
+    try {
+      const response = await fetch(RPC_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] })
+      });
+      if (response.ok) return;
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+  throw new Error('Hardhat node did not start');
+};
+
+before(async () => {
+  hardhat = spawn(process.execPath, [require.resolve('hardhat/internal/cli/cli'), 'node', '--port', String(RPC_PORT)], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, HARDHAT_DISABLE_TELEMETRY_PROMPT: 'true' },
+    stdio: 'ignore'
+  });
+  await waitForChain();
+  provider = getProvider('ethereum');
+});
+
+after(() => {
+  if (provider) provider.destroy();
+  if (hardhat) hardhat.kill();
+});
+
+// Read and write dotted paths like 'release.transactionHash'
+const getPath = (object, key) => key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), object);
+const setPath = (object, key, value) => {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const target = parts.reduce((current, part) => (current[part] = current[part] || {}), object);
+  if (value === undefined) delete target[last];
+  else target[last] = value;
+};
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  const value = getPath(doc, key);
+  if (condition && typeof condition === 'object' && '$exists' in condition) return (value !== undefined) === condition.$exists;
+  if (condition && typeof condition === 'object' && '$in' in condition) return condition.$in.includes(value);
+  return String(value) === String(condition);
+});
+
+const applyUpdate = (doc, update) => {
+  const { $set, $unset, ...fields } = update;
+  for (const [key, value] of Object.entries({ ...fields, ...$set })) setPath(doc, key, value);
+  for (const key of Object.keys($unset || {})) setPath(doc, key, undefined);
+};
+
+// An in-memory milestones collection that honours conditional updates
+const stubMilestones = (initial) => {
+  const store = { doc: JSON.parse(JSON.stringify(initial)) };
+  const snapshot = () => Milestone.hydrate(JSON.parse(JSON.stringify(store.doc)));
+  const update = async (filter, changes) => {
+    await new Promise(resolve => setImmediate(resolve));
+    if (!matches(store.doc, filter)) return null;
+    applyUpdate(store.doc, changes);
+    return snapshot();
+  };
+
+  mock.method(Milestone, 'findOneAndUpdate', update);
+  mock.method(Milestone, 'updateOne', async (filter, changes) => ({ modifiedCount: (await update(filter, changes)) ? 1 : 0 }));
+  mock.method(Milestone, 'findByIdAndUpdate', (id, changes) => update({ _id: id }, changes));
+  mock.method(Milestone, 'findById', async () => snapshot());
+
+  return { store, snapshot };
+};
+
+const newMilestone = (fields) => ({
+  _id: new mongoose.Types.ObjectId().toString(),
+  job: new mongoose.Types.ObjectId().toString(),
+  poster: new mongoose.Types.ObjectId().toString(),
+  freelancer: new mongoose.Types.ObjectId().toString(),
+  title: 'Landing page',
+  amount: 1,
+  currency: 'ETH',
+  blockchain: 'ethereum',
+  escrowAddress: new ethers.Wallet(ESCROW_KEY).address,
+  funding: { fromAddress: POSTER_ADDRESS },
+  ...fields
+});
+
+const balanceOf = (address) => provider.getBalance(address);
+
+beforeEach(() => {
+  mock.restoreAll();
+  sentNotifications.length = 0;
+});
+
+test('release pays the freelancer from escrow and records the transaction', async () => {
+  const { store, snapshot } = stubMilestones(newMilestone({ status: 'delivered' }));
+  const before = await balanceOf(FREELANCER_ADDRESS);
+
+  const released = await payOutMilestone(snapshot(), 'release', FREELANCER_ADDRESS);
+
+  assert.strictEqual(released.status, 'released');
+  assert.strictEqual(await balanceOf(FREELANCER_ADDRESS) - before, ethers.parseEther('1'));
+  assert.ok(store.doc.release.transactionHash);
+  assert.ok(store.doc.release.blockNumber > 0);
+  assert.strictEqual(sentNotifications.length, 1);
+  assert.strictEqual(sentNotifications[0].type, 'milestone_released');
+});
+
+test('two concurrent releases of the same milestone only send funds once', async () => {
+  const { snapshot } = stubMilestones(newMilestone({ status: 'funded' }));
+  const before = await balanceOf(FREELANCER_ADDRESS);
+
+  const results = await Promise.all([
+    payOutMilestone(snapshot(), 'release', FREELANCER_ADDRESS),
+    payOutMilestone(snapshot(), 'release', FREELANCER_ADDRESS)
+  ]);
+
+  assert.strictEqual(results.filter(Boolean).length, 1);
+  assert.strictEqual(await balanceOf(FREELANCER_ADDRESS) - before, ethers.parseEther('1'));
+});
+
+test('a release that fails before sending can be retried', async () => {
+  const { store, snapshot } = stubMilestones(newMilestone({ status: 'delivered', amount: 10000000 }));
+
+  await assert.rejects(payOutMilestone(snapshot(), 'release', FREELANCER_ADDRESS));
+
+  assert.strictEqual(store.doc.status, 'delivered');
+  assert.strictEqual(store.doc.release.transactionHash, undefined);
+});
+
+test('the freelancer settling a dispute refunds the poster', async () => {
+  const milestone = newMilestone({ status: 'disputed', dispute: { reason: 'Not delivered' } });
+  const { store, snapshot } = stubMilestones(milestone);
+  const before = await balanceOf(POSTER_ADDRESS);
+
+  const result = await resolveDispute(snapshot(), {
+    outcome: 'refund',
+    note: 'Agreed to refund',
+    resolvedBy: milestone.freelancer
+  });
+
+  assert.strictEqual(result.milestone.status, 'refunded');
+  assert.strictEqual(await balanceOf(POSTER_ADDRESS) - before, ethers.parseEther('1'));
+  assert.strictEqual(store.doc.refund.toAddress, POSTER_ADDRESS);
+  assert.strictEqual(store.doc.dispute.resolution.outcome, 'refund');
+  assert.deepStrictEqual(sentNotifications.map(n => n.type), ['milestone_refunded']);
+});
+
+test('an admin releasing a disputed milestone pays the freelancer and tells the poster', async () => {
+  const milestone = newMilestone({ status: 'disputed', dispute: { reason: 'Late' } });
+  const { snapshot } = stubMilestones(milestone);
+  mock.method(User, 'findById', () => ({
+    select: async () => ({ walletAddress: FREELANCER_ADDRESS, walletType: 'metamask' })
+  }));
+  const before = await balanceOf(FREELANCER_ADDRESS);
+
+  const result = await resolveDispute(snapshot(), {
+    outcome: 'release',
+    note: 'Work matches the brief',
+    resolvedBy: new mongoose.Types.ObjectId()
+  });
+
+  assert.strictEqual(result.milestone.status, 'released');
+  assert.strictEqual(await balanceOf(FREELANCER_ADDRESS) - before, ethers.parseEther('1'));
+  assert.deepStrictEqual(sentNotifications.map(n => n.type), ['milestone_released', 'milestone_resolved']);
+});
+
+test('only disputed milestones can be resolved', async () => {
+  const { snapshot } = stubMilestones(newMilestone({ status: 'funded' }));
+
+  const result = await resolveDispute(snapshot(), { outcome: 'refund', resolvedBy: new mongoose.Types.ObjectId() });
+
+  assert.ok(result.error);
+});
+
+test('the reconciler records a payout that was sent but never recorded', async () => {
+  const escrow = new ethers.Wallet(ESCROW_KEY, provider);
+  const tx = await escrow.sendTransaction({ to: FREELANCER_ADDRESS, value: ethers.parseEther('1') });
+  await tx.wait();
+
+  const { store, snapshot } = stubMilestones(newMilestone({
+    status: 'releasing',
+    previousStatus: 'delivered',
+    release: { transactionHash: tx.hash, toAddress: FREELANCER_ADDRESS, sentAt: new Date() }
+  }));
+
+  const reconciled = await reconcileMilestone(snapshot());
+
+  assert.strictEqual(reconciled.status, 'released');
+  assert.ok(store.doc.release.blockNumber > 0);
+  assert.strictEqual(sentNotifications.length, 1);
+});
+
+test('the reconciler waits for a payout that is not mined yet', async () => {
+  await provider.send('evm_setAutomine', [false]);
+  try {
+    const escrow = new ethers.Wallet(ESCROW_KEY, provider);
+    const tx = await escrow.sendTransaction({ to: FREELANCER_ADDRESS, value: ethers.parseEther('1') });
+
+    const { snapshot } = stubMilestones(newMilestone({
+      status: 'releasing',
+      previousStatus: 'funded',
+      release: { transactionHash: tx.hash, toAddress: FREELANCER_ADDRESS, sentAt: new Date() }
+    }));
+
+    assert.strictEqual((await reconcileMilestone(snapshot())).status, 'releasing');
+
+    await provider.send('evm_mine', []);
+    assert.strictEqual((await reconcileMilestone(snapshot())).status, 'released');
+  } finally {
+    await provider.send('evm_setAutomine', [true]);
+  }
+});
+
+test('the reconciler reopens a payout whose transaction was dropped', async () => {
+  const { store, snapshot } = stubMilestones(newMilestone({
+    status: 'refunding',
+    previousStatus: 'disputed',
+    refund: {
+      transactionHash: ethers.hexlify(ethers.randomBytes(32)),
+      toAddress: POSTER_ADDRESS,
+      sentAt: new Date(Date.now() - 2 * 60 * 60 * 1000)
+    }
+  }));
+
+  const reconciled = await reconcileMilestone(snapshot());
+
+  assert.strictEqual(reconciled.status, 'disputed');
+  assert.strictEqual(store.doc.status, 'disputed');
+});
+
+test('an unmined transfer from someone else is rejected, not left pending', async () => {
+  await provider.send('evm_setAutomine', [false]);
+  try {
+    const escrow = new ethers.Wallet(ESCROW_KEY, provider);
+    const tx = await escrow.sendTransaction({ to: FREELANCER_ADDRESS, value: ethers.parseEther('1') });
+    const transfer = { blockchain: 'ethereum', transactionHash: tx.hash, expectedTo: FREELANCER_ADDRESS, minAmount: 1 };
+
+    const foreign = await verifyNativeTransfer({ ...transfer, expectedFrom: POSTER_ADDRESS });
+    assert.strictEqual(foreign.pending, undefined);
+    assert.strictEqual(foreign.verified, false);
+
+    const own = await verifyNativeTransfer({ ...transfer, expectedFrom: escrow.address });
+    assert.strictEqual(own.pending, true);
+  } finally {
+    await provider.send('evm_mine', []);
+    await provider.send('evm_setAutomine', [true]);
+  }
+});
@@ -0,0 +1,86 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Job = require('../models/Job');
+const jobsRouter = require('../routes/jobs');
+const { serializeUser } = require('../utils/privacy');
+
+const handlerFor = (method, path) => {
+  const layer = jobsRouter.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const handlers = layer.route.stack;
+  return handlers[handlers.length - 1].handle;
+};
+
+const call = async (handler, req) => {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await handler({ query: {}, params: {}, body: {}, ...req }, res);
+  return res;
+};
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('the public job list counts applicants without listing them', async () => {
+  let pipeline;
+  mock.method(Job, 'aggregate', async (stages) => {
+    pipeline = stages;
+    return [];
+  });
+  mock.method(Job, 'populate', async (docs) => docs);
+  mock.method(Job, 'countDocuments', async () => 0);
+
+  const res = await call(handlerFor('get', '/'), {});
+
+  assert.strictEqual(res.statusCode, 200);
+  const projection = pipeline.find(stage => stage.$project);
+  assert.deepStrictEqual(projection.$project, { applicants: 0 });
+  assert.ok(pipeline.some(stage => stage.$addFields && stage.$addFields.applicantsCount));
+  assert.ok(pipeline.indexOf(projection) > pipeline.findIndex(stage => stage.$limit));
+});
+
+// Run the job list with the given query and return the $sort stage it built
+const listSort = async (query) => {
+  let pipeline;
+  mock.method(Job, 'aggregate', async (stages) => {
+    pipeline = stages;
+    return [];
+  });
+  mock.method(Job, 'populate', async (docs) => docs);
+  mock.method(Job, 'countDocuments', async () => 0);
+
+  const res = await call(handlerFor('get', '/'), { query });
+  assert.strictEqual(res.statusCode, 200);
+  return pipeline.find(stage => stage.$sort).$sort;
+};
+
+test('the job list sorts by whitelisted fields only', async () => {
+  assert.deepStrictEqual(await listSort({ sort: '-views title' }), { isFeatured: -1, isBoosted: -1, views: -1, title: 1 });
+  assert.deepStrictEqual(await listSort({ sort: '$where -views' }), { isFeatured: -1, isBoosted: -1, views: -1 });
+});
+
+test('an unusable sort falls back to newest first', async () => {
+  const fallback = { isFeatured: -1, isBoosted: -1, createdAt: -1 };
+  assert.deepStrictEqual(await listSort({ sort: ['views', 'title'] }), fallback);
+  assert.deepStrictEqual(await listSort({ sort: '$natural' }), fallback);
+});
+
+test('wallet addresses are hidden from other users by default', () => {
+  const user = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Ada',
+    walletAddress: '0x0000000000000000000000000000000000000001',
+    walletType: 'metamask'
+  };
+  const viewer = { _id: new mongoose.Types.ObjectId(), connections: [user._id] };
+
+  assert.strictEqual(serializeUser(user, null).walletAddress, undefined);
+  assert.strictEqual(serializeUser(user, viewer).walletAddress, undefined);
+  assert.strictEqual(serializeUser(user, { _id: user._id }).walletAddress, user.walletAddress);
+  assert.strictEqual(serializeUser({ ...user, privacy: { walletAddress: 'public' } }, null).walletAddress, user.walletAddress);
+});
@@ -0,0 +1,63 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Message = require('../models/Message');
+const User = require('../models/User');
+const messagesRouter = require('../routes/messages');
+
+const handlerFor = (method, path) => {
+  const layer = messagesRouter.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const handlers = layer.route.stack;
+  return handlers[handlers.length - 1].handle;
+};
+
+const call = async (handler, req) => {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await handler({ params: {}, query: {}, ...req }, res);
+  return res;
+};
+
+// A free user writing to someone outside their connections
+const sendAsFreeUser = (conversationExists) => {
+  const sender = User.hydrate({ _id: new mongoose.Types.ObjectId(), connections: [], isPremium: false });
+  const receiverId = new mongoose.Types.ObjectId().toString();
+
+  mock.method(User, 'findById', async () => User.hydrate({ _id: receiverId }));
+  mock.method(User, 'exists', async () => null);
+  mock.method(Message, 'exists', async () => (conversationExists ? { _id: new mongoose.Types.ObjectId() } : null));
+  const save = mock.method(Message.prototype, 'save', async function() { return this; });
+  mock.method(Message, 'findById', () => ({ populate: () => ({ populate: async () => ({}) }) }));
+
+  const request = call(handlerFor('post', '/send'), {
+    userId: sender._id.toString(),
+    user: sender,
+    body: { receiverId, content: 'Thanks for reaching out' }
+  });
+  return { request, save };
+};
+
+afterEach(() => mock.restoreAll());
+
+test('a free user can reply in a conversation someone else started', async () => {
+  const { request, save } = sendAsFreeUser(true);
+
+  const res = await request;
+
+  assert.strictEqual(res.statusCode, 201);
+  assert.strictEqual(save.mock.callCount(), 1);
+});
+
+test('a free user still cannot start a conversation outside their connections', async () => {
+  const { request, save } = sendAsFreeUser(false);
+
+  const res = await request;
+
+  assert.strictEqual(res.statusCode, 403);
+  assert.strictEqual(res.body.upgradeRequired, true);
+  assert.strictEqual(save.mock.callCount(), 0);
+});
@@ -0,0 +1,196 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const PaymentIntent = require('../models/PaymentIntent');
+const Counter = require('../models/Counter');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const { checkPayment, revertPaymentEffects } = require('../workers/paymentConfirmer');
+
+// Lets the other concurrent caller run between awaits
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// An in-memory stand-in for the payments collection that honours the
+// filter of a conditional update the way MongoDB does
+const stubPaymentStore = (initial) => {
+  const store = { doc: { ...initial } };
+
+  mock.method(Payment, 'findOneAndUpdate', async (filter, update) => {
+    await tick();
+    if (store.doc._id.toString() !== filter._id.toString() || store.doc.status !== filter.status) {
+      return null;
+    }
+    Object.assign(store.doc, update.$set);
+    return Payment.hydrate({ ...store.doc });
+  });
+  mock.method(Payment, 'findById', async () => Payment.hydrate({ ...store.doc }));
+  mock.method(Payment, 'updateOne', async () => ({}));
+  mock.method(Payment.prototype, 'save', async function() {
+    Object.assign(store.doc, this.toObject());
+    return this;
+  });
+
+  return store;
+};
+
+afterEach(() => mock.restoreAll());
+
+test('two concurrent confirms of the same payment only confirm it once', async () => {
+  const payment = new Payment({
+    user: new mongoose.Types.ObjectId(),
+    transactionHash: 'concurrent-confirm',
+    blockchain: 'solana',
+    amount: 25,
+    currency: 'USDC',
+    fromAddress: 'from',
+    toAddress: 'to',
+    purpose: 'premium_subscription',
+    durationMonths: 1,
+    status: 'pending'
+  });
+  const store = stubPaymentStore(payment.toObject());
+
+  let invoiceNumbers = 0;
+  mock.method(Counter, 'next', async () => {
+    invoiceNumbers += 1;
+    return invoiceNumbers;
+  });
+  const extendPremium = mock.method(User, 'extendPremium', async () => null);
+  mock.method(PaymentIntent, 'updateOne', async () => ({}));
+
+  const result = {
+    verified: true,
+    details: { amount: 25, fromAddress: 'from', toAddress: 'to', blockNumber: 100 }
+  };
+
+  // The worker and the submit route each hold their own copy of the payment
+  const [fromWorker, fromRoute] = await Promise.all([
+    checkPayment(Payment.hydrate(payment.toObject()), result),
+    checkPayment(Payment.hydrate(payment.toObject()), result)
+  ]);
+
+  assert.strictEqual(fromWorker.status, 'confirmed');
+  assert.strictEqual(fromRoute.status, 'confirmed');
+  assert.strictEqual(invoiceNumbers, 1);
+  assert.strictEqual(store.doc.invoiceNumber, 1);
+  assert.strictEqual(extendPremium.mock.callCount(), 1);
+});
+
+test('a payment confirmed elsewhere is not failed by a late check', async () => {
+  const payment = new Payment({
+    user: new mongoose.Types.ObjectId(),
+    transactionHash: 'confirmed-elsewhere',
+    blockchain: 'solana',
+    amount: 25,
+    currency: 'USDC',
+    fromAddress: 'from',
+    toAddress: 'to',
+    purpose: 'premium_subscription',
+    status: 'pending'
+  });
+  const store = stubPaymentStore({ ...payment.toObject(), status: 'confirmed', invoiceNumber: 7 });
+  const reopenIntent = mock.method(PaymentIntent, 'updateOne', async () => ({}));
+
+  const checked = await checkPayment(payment, { verified: false, error: 'Amount too low' });
+
+  assert.strictEqual(checked.status, 'confirmed');
+  assert.strictEqual(store.doc.status, 'confirmed');
+  assert.strictEqual(reopenIntent.mock.callCount(), 0);
+});
+
+test('a failing invoice number does not stop the payment from being applied', async () => {
+  const payment = new Payment({
+    user: new mongoose.Types.ObjectId(),
+    transactionHash: 'invoice-counter-down',
+    blockchain: 'solana',
+    amount: 25,
+    currency: 'USDC',
+    fromAddress: 'from',
+    toAddress: 'to',
+    purpose: 'premium_subscription',
+    durationMonths: 1,
+    status: 'pending'
+  });
+  const store = stubPaymentStore(payment.toObject());
+  mock.method(Counter, 'next', async () => { throw new Error('counter unavailable'); });
+  mock.method(console, 'error', () => {});
+  const extendPremium = mock.method(User, 'extendPremium', async () => null);
+
+  const checked = await checkPayment(payment, {
+    verified: true,
+    details: { amount: 25, fromAddress: 'from', toAddress: 'to', blockNumber: 100 }
+  });
+
+  assert.strictEqual(checked.status, 'confirmed');
+  assert.strictEqual(store.doc.invoiceNumber, undefined);
+  assert.strictEqual(extendPremium.mock.callCount(), 1);
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('reverting a premium payment takes back the months it granted', async () => {
+  const userId = new mongoose.Types.ObjectId();
+  const expiresAt = new Date(Date.now() + 60 * DAY_MS);
+  const user = User.hydrate({ _id: userId, isPremium: true, premiumExpiresAt: expiresAt });
+  mock.method(User, 'findById', () => ({ select: async () => user }));
+  const update = mock.method(User, 'findByIdAndUpdate', (id, fields) => ({
+    select: async () => User.hydrate({ _id: id, ...fields })
+  }));
+
+  const reverted = await revertPaymentEffects({ purpose: 'premium_subscription', user: userId, durationMonths: 1 });
+
+  const [, fields] = update.mock.calls[0].arguments;
+  const expected = new Date(expiresAt);
+  expected.setMonth(expected.getMonth() - 1);
+  assert.strictEqual(fields.isPremium, true);
+  assert.strictEqual(fields.premiumExpiresAt.getTime(), expected.getTime());
+  assert.strictEqual(reverted.premiumExpiresAt.previous.getTime(), expiresAt.getTime());
+});
+
+test('reverting the only premium payment ends premium', async () => {
+  const userId = new mongoose.Types.ObjectId();
+  const user = User.hydrate({ _id: userId, isPremium: true, premiumExpiresAt: new Date(Date.now() + 20 * DAY_MS) });
+  mock.method(User, 'findById', () => ({ select: async () => user }));
+  const update = mock.method(User, 'findByIdAndUpdate', (id, fields) => ({
+    select: async () => User.hydrate({ _id: id, ...fields })
+  }));
+
+  const reverted = await revertPaymentEffects({ purpose: 'premium_subscription', user: userId, durationMonths: 1 });
+
+  assert.deepStrictEqual(update.mock.calls[0].arguments[1], { isPremium: false, premiumExpiresAt: null });
+  assert.strictEqual(reverted.premiumExpiresAt.current, null);
+});
+
+test('reverting a boost removes its days and keeps a stacked boost running', async () => {
+  const boostedUntil = new Date(Date.now() + 10 * DAY_MS);
+  const job = Job.hydrate({ _id: new mongoose.Types.ObjectId(), boostedUntil });
+  mock.method(Job, 'findById', async () => job);
+  mock.method(job, 'save', async () => job);
+
+  const reverted = await revertPaymentEffects({ purpose: 'job_boost', relatedJobId: job._id, durationDays: 7 });
+
+  assert.strictEqual(job.boostedUntil.getTime(), boostedUntil.getTime() - 7 * DAY_MS);
+  assert.strictEqual(reverted.boostedUntil.previous.getTime(), boostedUntil.getTime());
+});
+
+test('reverting a featured listing that has run out of days ends it', async () => {
+  const job = Job.hydrate({ _id: new mongoose.Types.ObjectId(), featuredUntil: new Date(Date.now() + 3 * DAY_MS) });
+  mock.method(Job, 'findById', async () => job);
+  mock.method(job, 'save', async () => job);
+
+  const reverted = await revertPaymentEffects({ purpose: 'featured_listing', relatedJobId: job._id, durationDays: 7 });
+
+  assert.strictEqual(job.featuredUntil, null);
+  assert.strictEqual(reverted.featuredUntil.current, null);
+});
+
+test('reverting a job posting payment unverifies the job', async () => {
+  const jobId = new mongoose.Types.ObjectId();
+  const update = mock.method(Job, 'findByIdAndUpdate', async () => Job.hydrate({ _id: jobId, paymentVerified: true }));
+
+  const reverted = await revertPaymentEffects({ purpose: 'job_posting', relatedJobId: jobId });
+
+  assert.deepStrictEqual(update.mock.calls[0].arguments[1], { paymentVerified: false });
+  assert.deepStrictEqual(reverted.paymentVerified, { job: jobId, previous: true, current: false });
+});
@@ -0,0 +1,174 @@
+const { test, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+
+// Never reached: provider calls are stubbed per test
+process.env.ETH_RPC_URL = 'http://127.0.0.1:1';
+
+const Payment = require('../models/Payment');
+const PaymentIntent = require('../models/PaymentIntent');
+const Milestone = require('../models/Milestone');
+const { getProvider } = require('../utils/evm');
+const paymentsRouter = require('../routes/payments');
+const escrowRouter = require('../routes/escrow');
+
+const handlerFor = (router, method, path) => {
+  const layer = router.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const handlers = layer.route.stack;
+  return handlers[handlers.length - 1].handle;
+};
+
+const call = async (handler, req) => {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await handler({ params: {}, query: {}, ...req }, res);
+  return res;
+};
+
+const user = {
+  _id: new mongoose.Types.ObjectId(),
+  walletAddress: ethers.Wallet.createRandom().address
+};
+
+// A hash that is already recorded, in lowercase as it is stored
+const RECORDED_HASH = ethers.hexlify(ethers.randomBytes(32));
+
+afterEach(() => mock.restoreAll());
+
+after(() => getProvider('ethereum').destroy());
+
+const openIntent = () => PaymentIntent.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  user: user._id,
+  purpose: 'premium_subscription',
+  amounts: { ethereum: 0.01 },
+  status: 'open',
+  expiresAt: new Date(Date.now() + 60 * 1000)
+});
+
+test('a recorded transaction hash resubmitted in another case is rejected', async () => {
+  mock.method(PaymentIntent, 'findOne', async () => openIntent());
+  mock.method(Payment, 'findOne', async ({ transactionHash }) =>
+    (transactionHash === RECORDED_HASH ? Payment.hydrate({ transactionHash }) : null));
+
+  const res = await call(handlerFor(paymentsRouter, 'post', '/verify-eth'), {
+    userId: user._id,
+    user,
+    body: { intentId: 'intent', blockchain: 'ethereum', transactionHash: `0x${RECORDED_HASH.slice(2).toUpperCase()}` }
+  });
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(res.body.error, 'Payment already recorded');
+});
+
+test('a funding hash resubmitted in another case is rejected', async () => {
+  const milestoneId = new mongoose.Types.ObjectId();
+  mock.method(Milestone, 'findOne', async (filter) => {
+    if (filter._id) {
+      return Milestone.hydrate({ _id: milestoneId, poster: user._id, status: 'awaiting_funding', blockchain: 'ethereum' });
+    }
+    return filter['funding.transactionHash'] === RECORDED_HASH ? Milestone.hydrate({ _id: new mongoose.Types.ObjectId() }) : null;
+  });
+  mock.method(Payment, 'findOne', async () => null);
+
+  const res = await call(handlerFor(escrowRouter, 'post', '/milestones/:id/fund'), {
+    params: { id: milestoneId.toString() },
+    userId: user._id,
+    user,
+    body: { transactionHash: `0x${RECORDED_HASH.slice(2).toUpperCase()}` }
+  });
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(res.body.error, 'Transaction already recorded');
+});
+
+test('a malformed EVM transaction hash is rejected', async () => {
+  const res = await call(handlerFor(paymentsRouter, 'post', '/verify-eth'), {
+    userId: user._id,
+    user,
+    body: { intentId: 'intent', blockchain: 'ethereum', transactionHash: '0x1234' }
+  });
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(res.body.error, 'Invalid transaction hash');
+});
+
+test('a payment that failed on a timeout can be resubmitted', async () => {
+  const intent = openIntent();
+  const failed = Payment.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    user: user._id,
+    transactionHash: RECORDED_HASH,
+    status: 'failed',
+    failureReason: 'Timed out waiting for confirmations',
+    createdAt: new Date(Date.now() - 2 * 60 * 60 * 1000)
+  });
+
+  // The transfer is the user's and is still waiting to be mined
+  const provider = getProvider('ethereum');
+  mock.method(provider, 'getTransaction', async () => ({ from: user.walletAddress }));
+  mock.method(provider, 'getTransactionReceipt', async () => null);
+  mock.method(PaymentIntent, 'findOne', async () => intent);
+  mock.method(PaymentIntent, 'findOneAndUpdate', async () => intent);
+  mock.method(PaymentIntent, 'findByIdAndUpdate', async () => intent);
+  mock.method(Payment, 'findOne', async () => failed);
+  const takeOver = mock.method(Payment, 'findOneAndUpdate', async (filter, update) =>
+    Payment.hydrate({ ...failed.toObject(), ...update.$set, failureReason: undefined }));
+
+  const res = await call(handlerFor(paymentsRouter, 'post', '/verify-eth'), {
+    userId: user._id,
+    user,
+    body: { intentId: intent._id.toString(), blockchain: 'ethereum', transactionHash: RECORDED_HASH }
+  });
+
+  assert.strictEqual(res.statusCode, 202);
+  assert.strictEqual(res.body.payment.status, 'pending');
+  assert.deepStrictEqual(takeOver.mock.calls[0].arguments[0], { _id: failed._id, status: 'failed' });
+});
+
+test('another user\'s failed payment is not taken over', async () => {
+  mock.method(PaymentIntent, 'findOne', async () => openIntent());
+  mock.method(Payment, 'findOne', async () => Payment.hydrate({
+    user: new mongoose.Types.ObjectId(),
+    transactionHash: RECORDED_HASH,
+    status: 'failed'
+  }));
+
+  const res = await call(handlerFor(paymentsRouter, 'post', '/verify-eth'), {
+    userId: user._id,
+    user,
+    body: { intentId: 'intent', blockchain: 'ethereum', transactionHash: RECORDED_HASH }
+  });
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(res.body.error, 'Payment already recorded');
+});
+
+test('the intent is reopened when recording the payment fails', async () => {
+  const intent = openIntent();
+  const provider = getProvider('ethereum');
+  mock.method(provider, 'getTransaction', async () => ({ from: user.walletAddress }));
+  mock.method(provider, 'getTransactionReceipt', async () => null);
+  mock.method(PaymentIntent, 'findOne', async () => intent);
+  mock.method(PaymentIntent, 'findOneAndUpdate', async () => intent);
+  const reopen = mock.method(PaymentIntent, 'updateOne', async () => ({ modifiedCount: 1 }));
+  mock.method(Payment, 'findOne', async () => null);
+  // A concurrent submission of the same transaction wins the unique index
+  mock.method(Payment.prototype, 'save', async () => {
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+  });
+
+  const res = await call(handlerFor(paymentsRouter, 'post', '/verify-eth'), {
+    userId: user._id,
+    user,
+    body: { intentId: intent._id.toString(), blockchain: 'ethereum', transactionHash: RECORDED_HASH }
+  });
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(res.body.error, 'Payment already recorded');
+  assert.deepStrictEqual(reopen.mock.calls[0].arguments, [{ _id: intent._id, status: 'used' }, { status: 'open' }]);
+});
@@ -0,0 +1,56 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+
+// Notifications are counted, not stored
+const notifications = require('../routes/notifications');
+const sentNotifications = [];
+notifications.createNotification = async (notification) => {
+  sentNotifications.push(notification);
+  return notification;
+};
+
+const { sweepPremium } = require('../workers/premiumSweeper');
+
+afterEach(() => {
+  mock.restoreAll();
+  sentNotifications.length = 0;
+});
+
+test('a renewal that lands during the sweep keeps premium on', async () => {
+  const userId = new mongoose.Types.ObjectId();
+  const store = { isPremium: true, premiumExpiresAt: new Date(Date.now() - 1000) };
+
+  mock.method(User, 'find', (filter) => ({
+    select: async () => (filter.premiumExpiresAt.$gt ? [] : [User.hydrate({ _id: userId })])
+  }));
+  // The user renews between the sweeper's find and its update
+  mock.method(User, 'updateOne', async (filter, update) => {
+    store.premiumExpiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+    if (store.premiumExpiresAt > filter.premiumExpiresAt.$lte) {
+      return { modifiedCount: 0 };
+    }
+    Object.assign(store, update);
+    return { modifiedCount: 1 };
+  });
+
+  await sweepPremium();
+
+  assert.strictEqual(store.isPremium, true);
+  assert.strictEqual(sentNotifications.length, 0);
+});
+
+test('expired premium is switched off with a notification', async () => {
+  const userId = new mongoose.Types.ObjectId();
+  mock.method(User, 'find', (filter) => ({
+    select: async () => (filter.premiumExpiresAt.$gt ? [] : [User.hydrate({ _id: userId })])
+  }));
+  const update = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  await sweepPremium();
+
+  assert.deepStrictEqual(update.mock.calls[0].arguments[1], { isPremium: false });
+  assert.deepStrictEqual(sentNotifications.map(n => n.type), ['premium_expired']);
+});
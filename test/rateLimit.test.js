@@ -0,0 +1,59 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { RATE_LIMITS, MemoryStore, rateLimit, setStore } = require('../middleware/rateLimit');
+
+// Run a limiter against a fake request and report whether it was let through
+const hit = async (limiter, req) => {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json() { return this; }
+  };
+  let passed = false;
+  await limiter(req, res, () => { passed = true; });
+  return { passed, res };
+};
+
+beforeEach(() => {
+  setStore(new MemoryStore());
+});
+
+test('token refreshes from one IP do not use up the login limit', async () => {
+  const login = rateLimit('auth');
+  const refresh = rateLimit('session');
+
+  for (let i = 0; i < RATE_LIMITS.auth.max + 5; i++) {
+    const { passed } = await hit(refresh, { ip: '10.0.0.1', body: { refreshToken: `token-${i}` } });
+    assert.ok(passed);
+  }
+
+  assert.ok((await hit(login, { ip: '10.0.0.1', body: {} })).passed);
+});
+
+test('refreshes are limited per session, not per IP', async () => {
+  const refresh = rateLimit('session');
+  const max = RATE_LIMITS.session.max;
+
+  for (let i = 0; i < max; i++) {
+    assert.ok((await hit(refresh, { ip: '10.0.0.1', body: { refreshToken: 'busy' } })).passed);
+  }
+
+  const blocked = await hit(refresh, { ip: '10.0.0.1', body: { refreshToken: 'busy' } });
+  assert.strictEqual(blocked.passed, false);
+  assert.strictEqual(blocked.res.statusCode, 429);
+
+  // Another user behind the same NAT is unaffected
+  assert.ok((await hit(refresh, { ip: '10.0.0.1', body: { refreshToken: 'other' } })).passed);
+});
+
+test('logout counts against the authenticated session', async () => {
+  const logout = rateLimit('session');
+
+  const { passed, res } = await hit(logout, { ip: '10.0.0.2', sessionId: 'abc', body: {} });
+
+  assert.ok(passed);
+  assert.strictEqual(res.headers['RateLimit-Limit'], RATE_LIMITS.session.max);
+});
@@ -0,0 +1,69 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Recommendation = require('../models/Recommendation');
+const User = require('../models/User');
+const recommendationsRouter = require('../routes/recommendations');
+
+const handlerFor = (method, path) => {
+  const layer = recommendationsRouter.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const handlers = layer.route.stack;
+  return handlers[handlers.length - 1].handle;
+};
+
+const call = async (handler, req) => {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await handler(req, res);
+  return res;
+};
+
+// A signed-in user connected to the author, with one experience entry
+const requestFrom = (body) => {
+  const authorId = new mongoose.Types.ObjectId();
+  const user = User.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    connections: [authorId],
+    experience: [{ _id: new mongoose.Types.ObjectId(), title: 'Engineer', company: 'Acme' }]
+  });
+  mock.method(User, 'findById', () => ({ select: async () => user }));
+  mock.method(Recommendation, 'exists', async () => null);
+
+  return {
+    userId: user._id,
+    user,
+    body: { authorId: authorId.toString(), experienceId: user.experience[0]._id.toString(), ...body }
+  };
+};
+
+afterEach(() => mock.restoreAll());
+
+test('a request message over the limit is rejected up front', async () => {
+  const create = mock.method(Recommendation, 'create', async () => ({}));
+
+  const res = await call(handlerFor('post', '/requests'), requestFrom({ message: 'x'.repeat(501) }));
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(create.mock.callCount(), 0);
+});
+
+test('a validation error while saving a request is a 400', async () => {
+  mock.method(Recommendation, 'create', async (fields) => {
+    await new Recommendation({ ...fields, status: 'unknown' }).validate();
+  });
+
+  const res = await call(handlerFor('post', '/requests'), requestFrom({ message: 'Could you?' }));
+
+  assert.strictEqual(res.statusCode, 400);
+});
+
+test('recommendation text over the limit is rejected', async () => {
+  const res = await call(handlerFor('post', '/'), requestFrom({ content: 'x'.repeat(3001) }));
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.match(res.body.error, /3000/);
+});
@@ -0,0 +1,78 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const Session = require('../models/Session');
+const { rotateSession } = require('../utils/sessions');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+const req = { get: () => 'test-agent', ip: '127.0.0.1' };
+
+// An in-memory session that honours the filter of a conditional update
+const stubSession = (secret) => {
+  const store = {
+    doc: {
+      _id: new mongoose.Types.ObjectId(),
+      user: new mongoose.Types.ObjectId(),
+      refreshTokenHash: hashToken(secret),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      revokedAt: null
+    }
+  };
+  const matches = (filter) =>
+    store.doc._id.equals(filter._id) &&
+    (filter.refreshTokenHash === undefined || store.doc.refreshTokenHash === filter.refreshTokenHash) &&
+    (filter.revokedAt === undefined || store.doc.revokedAt === filter.revokedAt);
+
+  mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    await tick();
+    if (!matches(filter)) return null;
+    Object.assign(store.doc, update);
+    return Session.hydrate({ ...store.doc });
+  });
+  mock.method(Session, 'updateOne', async (filter, update) => {
+    if (!matches(filter)) return { modifiedCount: 0 };
+    Object.assign(store.doc, update);
+    return { modifiedCount: 1 };
+  });
+  mock.method(Session, 'findById', async () => Session.hydrate({ ...store.doc }));
+
+  return store;
+};
+
+afterEach(() => mock.restoreAll());
+
+test('a refresh token rotates to a new one', async () => {
+  const store = stubSession('first');
+
+  const result = await rotateSession(`${store.doc._id}.first`, req);
+
+  assert.ok(result.token);
+  const [, nextSecret] = result.refreshToken.split('.');
+  assert.strictEqual(store.doc.refreshTokenHash, hashToken(nextSecret));
+});
+
+test('two concurrent refreshes with the same token revoke the session', async () => {
+  const store = stubSession('shared');
+  const token = `${store.doc._id}.shared`;
+
+  const results = await Promise.all([rotateSession(token, req), rotateSession(token, req)]);
+
+  assert.strictEqual(results.filter(result => result.token).length, 1);
+  assert.strictEqual(results.filter(result => result.error).length, 1);
+  assert.ok(store.doc.revokedAt);
+});
+
+test('a malformed refresh token is rejected without a lookup', async () => {
+  const find = mock.method(Session, 'findOneAndUpdate', async () => null);
+
+  const result = await rotateSession('not-a-session.secret', req);
+
+  assert.strictEqual(result.error, 'Invalid refresh token');
+  assert.strictEqual(find.mock.callCount(), 0);
+});
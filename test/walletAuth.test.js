@@ -0,0 +1,75 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+
+process.env.FRONTEND_URL = 'https://jobs.example.com';
+delete process.env.SIWE_DOMAIN;
+
+const AuthNonce = require('../models/AuthNonce');
+const { verifySignIn } = require('../utils/walletAuth');
+
+const wallet = ethers.Wallet.createRandom();
+
+const signInMessage = ({
+  domain = 'jobs.example.com',
+  uri = 'https://jobs.example.com/login',
+  chainId = '1',
+  issuedAt = new Date().toISOString()
+} = {}) => [
+  `${domain} wants you to sign in with your Ethereum account:`,
+  wallet.address,
+  '',
+  'Sign in to Job Portal',
+  '',
+  `URI: ${uri}`,
+  'Version: 1',
+  chainId && `Chain ID: ${chainId}`,
+  'Nonce: abc123',
+  `Issued At: ${issuedAt}`
+].filter(line => line !== null).join('\n');
+
+const signIn = async (fields) => {
+  const message = signInMessage(fields);
+  return verifySignIn({ message, signature: await wallet.signMessage(message) });
+};
+
+beforeEach(() => {
+  mock.method(AuthNonce, 'findOneAndDelete', async () => ({ nonce: 'abc123' }));
+});
+
+afterEach(() => mock.restoreAll());
+
+test('a message for the frontend origin signs in', async () => {
+  const result = await signIn();
+
+  assert.deepStrictEqual(result, { address: wallet.address, chain: 'ethereum' });
+});
+
+test('the domain is checked against FRONTEND_URL when SIWE_DOMAIN is unset', async () => {
+  const result = await signIn({ domain: 'evil.example.com' });
+
+  assert.ok(result.error);
+});
+
+test('a URI on another site is rejected', async () => {
+  const result = await signIn({ uri: 'https://evil.example.com/login' });
+
+  assert.ok(result.error);
+});
+
+test('an unsupported or missing chain ID is rejected', async () => {
+  assert.ok((await signIn({ chainId: '5' })).error);
+  assert.ok((await signIn({ chainId: null })).error);
+});
+
+test('a message issued in the future is rejected', async () => {
+  const result = await signIn({ issuedAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() });
+
+  assert.ok(result.error);
+});
+
+test('the nonce is not consumed when a check fails', async () => {
+  await signIn({ domain: 'evil.example.com' });
+
+  assert.strictEqual(AuthNonce.findOneAndDelete.mock.callCount(), 0);
+});
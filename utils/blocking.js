@@ -0,0 +1,43 @@
+const User = require('../models/User');
+
+const toIdStrings = (ids) => ids.map(id => id.toString());
+
+// Users hidden from userId in both directions: ones they blocked and ones
+// who blocked them
+const getBlockedIds = async (userId) => {
+  const [user, blockedBy] = await Promise.all([
+    User.findById(userId).select('blockedUsers'),
+    User.find({ blockedUsers: userId }).distinct('_id')
+  ]);
+
+  return [...(user ? user.blockedUsers : []), ...blockedBy];
+};
+
+// Blocked users plus the ones userId has muted. Used for feeds and
+// notifications.
+const getHiddenIds = async (userId) => {
+  const [blocked, user] = await Promise.all([
+    getBlockedIds(userId),
+    User.findById(userId).select('mutedUsers')
+  ]);
+
+  return [...blocked, ...(user ? user.mutedUsers : [])];
+};
+
+// Whether either user has blocked the other
+const isBlockedBetween = async (userId, otherUserId) => {
+  const match = await User.exists({
+    $or: [
+      { _id: userId, blockedUsers: otherUserId },
+      { _id: otherUserId, blockedUsers: userId }
+    ]
+  });
+  return !!match;
+};
+
+module.exports = {
+  toIdStrings,
+  getBlockedIds,
+  getHiddenIds,
+  isBlockedBetween
+};
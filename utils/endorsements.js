@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const Endorsement = require('../models/Endorsement');
+
+const MAX_ENDORSERS_SHOWN = 5;
+
+// Endorsement counts per user and skill: Map(userId => { skillKey: count })
+const getEndorsementCounts = async (userIds) => {
+  const ids = userIds.map(id => new mongoose.Types.ObjectId(id.toString()));
+  const rows = await Endorsement.aggregate([
+    { $match: { user: { $in: ids } } },
+    { $group: { _id: { user: '$user', skill: '$skillKey' }, count: { $sum: 1 } } }
+  ]);
+
+  const counts = new Map();
+  for (const row of rows) {
+    const userId = row._id.user.toString();
+    if (!counts.has(userId)) {
+      counts.set(userId, {});
+    }
+    counts.get(userId)[row._id.skill] = row.count;
+  }
+  return counts;
+};
+
+// The given skills that have endorsements, most endorsed first
+const getEndorsedSkills = (skills, skillCounts = {}) => skills
+  .map(skill => ({ skill, count: skillCounts[Endorsement.skillKey(skill)] || 0 }))
+  .filter(item => item.count > 0)
+  .sort((a, b) => b.count - a.count);
+
+// Per-skill counts and the latest endorsers for a profile, limited to skills
+// still listed on it. Endorsers in excludeIds (e.g. blocked users) are left out.
+const getEndorsementSummary = async (user, {
+  viewerId,
+  excludeIds = [],
+  withEndorsers = true,
+  endorserLimit = MAX_ENDORSERS_SHOWN
+} = {}) => {
+  const query = Endorsement.find({ user: user._id, endorser: { $nin: excludeIds } }).sort('-createdAt');
+  if (withEndorsers) {
+    query.populate('endorser', 'name profilePicture headline handle');
+  }
+  // A deleted endorser populates as null; their endorsements no longer count
+  const endorsements = (await query).filter(endorsement => endorsement.endorser);
+
+  const bySkill = new Map();
+  for (const endorsement of endorsements) {
+    if (!bySkill.has(endorsement.skillKey)) {
+      bySkill.set(endorsement.skillKey, []);
+    }
+    bySkill.get(endorsement.skillKey).push(endorsement);
+  }
+
+  return (user.skills || [])
+    .map(skill => {
+      const items = bySkill.get(Endorsement.skillKey(skill)) || [];
+      const summary = { skill, count: items.length };
+
+      if (withEndorsers) {
+        summary.endorsers = items.slice(0, endorserLimit).map(item => item.endorser);
+      }
+      if (viewerId) {
+        summary.endorsedByMe = items.some(item => (item.endorser._id || item.endorser).toString() === viewerId.toString());
+      }
+      return summary;
+    })
+    .sort((a, b) => b.count - a.count);
+};
+
+module.exports = {
+  getEndorsementCounts,
+  getEndorsedSkills,
+  getEndorsementSummary
+};
@@ -0,0 +1,33 @@
+// What each plan unlocks. Routes check these through hasEntitlement /
+// requireEntitlement instead of testing isPremium directly, so a feature can
+// move between plans by editing this map. A null limit means unlimited.
+const PLANS = {
+  free: {
+    aiCallsPerDay: parseInt(process.env.FREE_AI_CALLS_PER_DAY) || 20,
+    seeProfileViewers: false,
+    messageNonConnections: false
+  },
+  premium: {
+    aiCallsPerDay: null,
+    seeProfileViewers: true,
+    messageNonConnections: true
+  }
+};
+
+// Premium counts only until it expires, even before the sweep turns it off
+const isPremiumActive = (user) =>
+  !!user && user.isPremium && (!user.premiumExpiresAt || user.premiumExpiresAt > new Date());
+
+const getPlan = (user) => (isPremiumActive(user) ? 'premium' : 'free');
+
+const getEntitlements = (user) => PLANS[getPlan(user)];
+
+const hasEntitlement = (user, name) => !!getEntitlements(user)[name];
+
+module.exports = {
+  PLANS,
+  isPremiumActive,
+  getPlan,
+  getEntitlements,
+  hasEntitlement
+};
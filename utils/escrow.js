@@ -0,0 +1,194 @@
+const { ethers } = require('ethers');
+const Milestone = require('../models/Milestone');
+const User = require('../models/User');
+const { getProvider } = require('./evm');
+const { createNotification } = require('../routes/notifications');
+
+// The two ways funds leave escrow
+const PAYOUTS = {
+  release: { sending: 'releasing', done: 'released', doneAt: 'releasedAt' },
+  refund: { sending: 'refunding', done: 'refunded', doneAt: 'refundedAt' }
+};
+
+// The escrow wallet holds milestone funds until the poster releases them.
+// It is a server-controlled EVM account; for local testing use one of the
+// pre-funded Hardhat/Anvil accounts.
+const getEscrowWallet = (blockchain) => {
+  if (!process.env.ESCROW_PRIVATE_KEY) {
+    throw new Error('No escrow wallet configured');
+  }
+
+  return new ethers.Wallet(process.env.ESCROW_PRIVATE_KEY, getProvider(blockchain));
+};
+
+// Address posters fund milestones to, or null when escrow isn't configured
+const getEscrowAddress = () => {
+  try {
+    return new ethers.Wallet(process.env.ESCROW_PRIVATE_KEY).address;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Send funds from escrow and wait for the transaction to be mined.
+// Resolves to { transactionHash, receipt }.
+const releaseFunds = async ({ blockchain, to, amount, onSent }) => {
+  const wallet = getEscrowWallet(blockchain);
+
+  const tx = await wallet.sendTransaction({
+    to,
+    value: ethers.parseEther(Number(amount).toFixed(18))
+  });
+
+  if (onSent) {
+    await onSent(tx.hash);
+  }
+
+  const receipt = await tx.wait();
+  return { transactionHash: tx.hash, receipt };
+};
+
+// Tell whoever received a payout about it
+const notifyPayout = (milestone, kind) => createNotification(kind === 'release'
+  ? {
+    recipient: milestone.freelancer,
+    sender: milestone.poster,
+    type: 'milestone_released',
+    job: milestone.job,
+    message: `Payment for milestone "${milestone.title}" has been released`
+  }
+  : {
+    recipient: milestone.poster,
+    type: 'milestone_refunded',
+    job: milestone.job,
+    message: `Funds for milestone "${milestone.title}" have been refunded to you`
+  });
+
+// Record a mined payout transaction. A reverted transaction puts the
+// milestone back where it was so the payout can be tried again. Resolves to
+// null if the payout was already recorded, e.g. by the reconciler.
+const finishPayout = async (milestone, kind, receipt) => {
+  const { sending, done, doneAt } = PAYOUTS[kind];
+  const succeeded = receipt.status === 1;
+
+  const update = {
+    status: succeeded ? done : milestone.previousStatus,
+    [`${kind}.blockNumber`]: receipt.blockNumber
+  };
+  if (succeeded) {
+    update[`${kind}.${doneAt}`] = new Date();
+  }
+
+  const finished = await Milestone.findOneAndUpdate(
+    { _id: milestone._id, status: sending },
+    { $set: update },
+    { new: true }
+  );
+
+  if (finished && succeeded) {
+    await notifyPayout(finished, kind);
+  }
+
+  return finished;
+};
+
+// Send a milestone's escrowed funds: 'release' pays the freelancer and
+// 'refund' pays the poster back. The caller checks the milestone may be paid
+// out; claiming it on its current status makes sure funds only leave once.
+// Resolves to the updated milestone, or null if it had already moved on.
+const payOutMilestone = async (milestone, kind, to) => {
+  const { sending } = PAYOUTS[kind];
+
+  const claimed = await Milestone.findOneAndUpdate(
+    { _id: milestone._id, status: milestone.status },
+    {
+      $set: { status: sending, previousStatus: milestone.status, [`${kind}.toAddress`]: to },
+      $unset: { [`${kind}.transactionHash`]: 1, [`${kind}.sentAt`]: 1 }
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    return null;
+  }
+
+  let sent;
+  try {
+    sent = await releaseFunds({
+      blockchain: claimed.blockchain,
+      to,
+      amount: claimed.amount,
+      onSent: (transactionHash) => Milestone.updateOne(
+        { _id: claimed._id },
+        { [`${kind}.transactionHash`]: transactionHash, [`${kind}.sentAt`]: new Date() }
+      )
+    });
+  } catch (error) {
+    // Nothing was sent, so the milestone can be paid out again. Once a
+    // transaction is out, the reconciler settles it instead.
+    await Milestone.updateOne(
+      { _id: claimed._id, status: sending, [`${kind}.transactionHash`]: { $exists: false } },
+      { status: claimed.previousStatus }
+    );
+    throw error;
+  }
+
+  return (await finishPayout(claimed, kind, sent.receipt)) || Milestone.findById(claimed._id);
+};
+
+// Settle a disputed milestone by releasing it to the freelancer or refunding
+// the poster. Returns { milestone } or { error }; check the milestone's
+// status to see whether the transaction went through.
+const resolveDispute = async (milestone, { outcome, note, resolvedBy }) => {
+  if (milestone.status !== 'disputed') {
+    return { error: 'Only disputed milestones can be resolved' };
+  }
+
+  let to;
+  if (outcome === 'release') {
+    const freelancer = await User.findById(milestone.freelancer).select('walletAddress walletType');
+    if (!freelancer || !freelancer.walletAddress || freelancer.walletType === 'phantom') {
+      return { error: 'The freelancer has not connected an Ethereum wallet yet' };
+    }
+    to = freelancer.walletAddress;
+  } else {
+    to = milestone.funding.fromAddress;
+  }
+
+  const paid = await payOutMilestone(milestone, outcome, to);
+  if (!paid) {
+    return { error: 'Only disputed milestones can be resolved' };
+  }
+
+  if (paid.status !== PAYOUTS[outcome].done) {
+    return { milestone: paid };
+  }
+
+  const resolved = await Milestone.findByIdAndUpdate(
+    paid._id,
+    { 'dispute.resolution': { outcome, note: note || '', resolvedBy, resolvedAt: new Date() } },
+    { new: true }
+  );
+
+  // The party who didn't get the funds hears about it too, unless they
+  // settled it themselves
+  const otherParty = outcome === 'release' ? resolved.poster : resolved.freelancer;
+  if (otherParty.toString() !== resolvedBy.toString()) {
+    await createNotification({
+      recipient: otherParty,
+      type: 'milestone_resolved',
+      job: resolved.job,
+      message: `The dispute on milestone "${resolved.title}" was resolved: funds ${outcome === 'release' ? 'released to the freelancer' : 'refunded to the poster'}`
+    });
+  }
+
+  return { milestone: resolved };
+};
+
+module.exports = {
+  PAYOUTS,
+  getEscrowAddress,
+  releaseFunds,
+  finishPayout,
+  payOutMilestone,
+  resolveDispute
+};
@@ -0,0 +1,218 @@
+const { ethers } = require('ethers');
+
+// JSON-RPC endpoints for the EVM chains we accept payments on.
+// For local testing point both at a Hardhat/Anvil node (http://127.0.0.1:8545).
+const RPC_URLS = {
+  ethereum: () => process.env.ETH_RPC_URL,
+  polygon: () => process.env.POLYGON_RPC_URL
+};
+
+// ERC-20 tokens accepted per chain, configured as SYMBOL:address pairs,
+// e.g. ETH_TOKENS=USDC:0xA0b8...,USDT:0xdAC1...
+const TOKEN_LISTS = {
+  ethereum: () => process.env.ETH_TOKENS,
+  polygon: () => process.env.POLYGON_TOKENS
+};
+
+const ERC20_ABI = [
+  'function decimals() view returns (uint8)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)'
+];
+const erc20Interface = new ethers.Interface(ERC20_ABI);
+
+const providers = {};
+const tokenDecimals = {};
+
+// Get (or lazily create) the JSON-RPC provider for a chain
+const getProvider = (blockchain) => {
+  if (!RPC_URLS[blockchain]) {
+    throw new Error(`Unsupported EVM chain: ${blockchain}`);
+  }
+
+  if (!providers[blockchain]) {
+    const url = RPC_URLS[blockchain]();
+    if (!url) {
+      throw new Error(`No RPC URL configured for ${blockchain}`);
+    }
+    // No response caching: back-to-back escrow payouts need a fresh nonce
+    providers[blockchain] = new ethers.JsonRpcProvider(url, undefined, { cacheTimeout: -1 });
+  }
+
+  return providers[blockchain];
+};
+
+const isSameAddress = (a, b) => {
+  try {
+    return ethers.getAddress(a) === ethers.getAddress(b);
+  } catch (error) {
+    return false;
+  }
+};
+
+// List the ERC-20 tokens accepted on a chain: [{ symbol, address }]
+const getAcceptedTokens = (blockchain) => {
+  const list = TOKEN_LISTS[blockchain] ? TOKEN_LISTS[blockchain]() : '';
+
+  return (list || '')
+    .split(',')
+    .map(entry => entry.trim().split(':'))
+    .filter(([symbol, address]) => symbol && address && ethers.isAddress(address))
+    .map(([symbol, address]) => ({
+      symbol: symbol.toUpperCase(),
+      address: ethers.getAddress(address)
+    }));
+};
+
+const findAcceptedToken = (blockchain, symbol) =>
+  getAcceptedTokens(blockchain).find(token => token.symbol === String(symbol).toUpperCase());
+
+// Read (and cache) a token's decimals from its contract
+const getTokenDecimals = async (blockchain, address) => {
+  const key = `${blockchain}:${address}`;
+
+  if (tokenDecimals[key] === undefined) {
+    const contract = new ethers.Contract(address, ERC20_ABI, getProvider(blockchain));
+    tokenDecimals[key] = Number(await contract.decimals());
+  }
+
+  return tokenDecimals[key];
+};
+
+// Number of blocks mined on top of (and including) the given block
+const getConfirmations = async (blockchain, blockNumber) => {
+  const latestBlock = await getProvider(blockchain).getBlockNumber();
+  return Math.max(latestBlock - blockNumber + 1, 0);
+};
+
+// Hex hashes match the same transaction in any letter case, so they are
+// stored and looked up lowercased. Returns null for anything that isn't a
+// transaction hash.
+const normalizeTransactionHash = (hash) =>
+  (typeof hash === 'string' && ethers.isHexString(hash, 32) ? hash.toLowerCase() : null);
+
+// Fetch a transaction together with its receipt. Resolves to
+// { tx, receipt } once mined, or to a pending result otherwise. The sender is
+// checked as soon as the transaction is visible, so nobody can claim someone
+// else's transaction while it waits in the mempool.
+const fetchMinedTransaction = async (blockchain, transactionHash, expectedFrom) => {
+  if (!normalizeTransactionHash(transactionHash)) {
+    return { result: { verified: false, error: 'Invalid transaction hash' } };
+  }
+
+  const provider = getProvider(blockchain);
+
+  const tx = await provider.getTransaction(transactionHash);
+  if (!tx) {
+    return { result: { verified: false, pending: true, error: 'Transaction not found' } };
+  }
+
+  if (!isSameAddress(tx.from, expectedFrom)) {
+    return { result: { verified: false, error: 'Transaction was not sent from your connected wallet' } };
+  }
+
+  const receipt = await provider.getTransactionReceipt(transactionHash);
+  if (!receipt) {
+    return { result: { verified: false, pending: true, error: 'Transaction has not been mined yet' } };
+  }
+
+  return { tx, receipt };
+};
+
+// Verify a native-currency (ETH/MATIC) transfer on-chain.
+// Resolves to { verified, pending, failed, error, details }:
+// - pending: the transaction is not mined (or not visible) yet, try again later
+// - failed: the transaction is the user's but can never satisfy the payment
+// - details: filled whenever the transaction was mined, so callers can record
+//   what actually happened
+const verifyNativeTransfer = async ({ blockchain, transactionHash, expectedFrom, expectedTo, minAmount }) => {
+  const { tx, receipt, result } = await fetchMinedTransaction(blockchain, transactionHash, expectedFrom);
+  if (result) {
+    return result;
+  }
+
+  const details = {
+    fromAddress: tx.from,
+    toAddress: tx.to,
+    amount: parseFloat(ethers.formatEther(tx.value)),
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString()
+  };
+
+  if (receipt.status !== 1) {
+    return { verified: false, failed: true, error: 'Transaction failed on-chain', details };
+  }
+
+  if (!tx.to || !isSameAddress(tx.to, expectedTo)) {
+    return { verified: false, failed: true, error: 'Transaction was not sent to the platform wallet', details };
+  }
+
+  if (tx.value < ethers.parseEther(Number(minAmount).toFixed(18))) {
+    return { verified: false, failed: true, error: 'Transaction amount is below the required fee', details };
+  }
+
+  return { verified: true, details };
+};
+
+// Verify an ERC-20 transfer on-chain by decoding the token's Transfer logs.
+// Resolves to the same shape as verifyNativeTransfer.
+const verifyTokenTransfer = async ({ blockchain, transactionHash, token, expectedFrom, expectedTo, minAmount }) => {
+  const { tx, receipt, result } = await fetchMinedTransaction(blockchain, transactionHash, expectedFrom);
+  if (result) {
+    return result;
+  }
+
+  const decimals = await getTokenDecimals(blockchain, token.address);
+
+  // Sum every transfer of this token from the user to the platform wallet
+  const value = receipt.logs
+    .filter(log => isSameAddress(log.address, token.address))
+    .map(log => {
+      try {
+        return erc20Interface.parseLog(log);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(event =>
+      event &&
+      event.name === 'Transfer' &&
+      isSameAddress(event.args.from, expectedFrom) &&
+      isSameAddress(event.args.to, expectedTo)
+    )
+    .reduce((sum, event) => sum + event.args.value, 0n);
+
+  const details = {
+    fromAddress: tx.from,
+    toAddress: expectedTo,
+    amount: parseFloat(ethers.formatUnits(value, decimals)),
+    tokenSymbol: token.symbol,
+    tokenAddress: token.address,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString()
+  };
+
+  if (receipt.status !== 1) {
+    return { verified: false, failed: true, error: 'Transaction failed on-chain', details };
+  }
+
+  if (value === 0n) {
+    return { verified: false, failed: true, error: `No ${token.symbol} transfer to the platform wallet found`, details };
+  }
+
+  if (value < ethers.parseUnits(Number(minAmount).toFixed(decimals), decimals)) {
+    return { verified: false, failed: true, error: 'Transaction amount is below the required fee', details };
+  }
+
+  return { verified: true, details };
+};
+
+module.exports = {
+  getProvider,
+  getAcceptedTokens,
+  findAcceptedToken,
+  getConfirmations,
+  isSameAddress,
+  normalizeTransactionHash,
+  verifyNativeTransfer,
+  verifyTokenTransfer
+};
@@ -0,0 +1,37 @@
+const axios = require('axios');
+
+// CoinGecko ids for the currencies we accept
+const COIN_IDS = {
+  ETH: 'ethereum',
+  MATIC: 'matic-network',
+  SOL: 'solana'
+};
+
+const STABLECOINS = ['USDC', 'USDT'];
+
+// Current USD price of one unit of a currency, or null if it can't be fetched
+const getUsdPrice = async (currency) => {
+  if (STABLECOINS.includes(currency)) {
+    return 1;
+  }
+
+  const coinId = COIN_IDS[currency];
+  if (!coinId) {
+    return null;
+  }
+
+  try {
+    const response = await axios.get(
+      process.env.PRICE_API_URL || 'https://api.coingecko.com/api/v3/simple/price',
+      { params: { ids: coinId, vs_currencies: 'usd' }, timeout: 5000 }
+    );
+    return response.data[coinId]?.usd ?? null;
+  } catch (error) {
+    console.error('Price lookup error:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  getUsdPrice
+};
@@ -0,0 +1,342 @@
+// Conversion between user profiles and the JSON Resume format
+// (https://jsonresume.org/schema)
+
+const { profileUrl } = require('./publicProfile');
+
+const SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const ISO_DATE = /^\d{4}(?:-(0[1-9]|1[0-2])(?:-\d{2})?)?$/;
+
+// Caps so a single import can't bloat a profile
+const MAX_ENTRIES = 50;
+const MAX_SKILLS = 200;
+
+const PROFILE_NETWORKS = {
+  linkedin: 'linkedinUrl',
+  github: 'githubUrl',
+  portfolio: 'portfolioUrl',
+  behance: 'portfolioUrl',
+  dribbble: 'portfolioUrl'
+};
+
+// Profile dates are free text ("Jan 2020", "2020-01", "09/2021", "2020").
+// Anything we can't read is left out of the export.
+const toIsoDate = (value) => {
+  if (!value) return undefined;
+  const text = String(value).trim();
+
+  if (ISO_DATE.test(text)) return text;
+
+  const [, month, year] = text.match(/^([a-z]+)\.?\s+(\d{4})$/i) || text.match(/^(\d{1,2})\/(\d{4})$/) || [];
+  if (!year) return undefined;
+
+  const index = /^\d+$/.test(month)
+    ? parseInt(month) - 1
+    : MONTHS.findIndex(name => month.toLowerCase().startsWith(name.toLowerCase()));
+  return index >= 0 && index < 12 ? `${year}-${String(index + 1).padStart(2, '0')}` : year;
+};
+
+// "2020-01-15" -> "Jan 2020", the format the resume parser writes
+const fromIsoDate = (value) => {
+  if (!value) return '';
+  const [year, month] = value.split('-');
+  return month ? `${MONTHS[parseInt(month) - 1]} ${year}` : year;
+};
+
+const usernameFromUrl = (url) => url.replace(/\/+$/, '').split('/').pop();
+
+// Drop empty values so the export only carries what the profile has
+const compact = (object) => Object.fromEntries(
+  Object.entries(object).filter(([, value]) =>
+    value !== undefined && value !== '' && !(typeof value === 'object' && Object.keys(value).length === 0)
+  )
+);
+
+const toJsonResume = (user) => {
+  const address = user.address || {};
+
+  const profiles = [
+    ['LinkedIn', user.linkedinUrl],
+    ['GitHub', user.githubUrl],
+    ['Portfolio', user.portfolioUrl]
+  ]
+    .filter(([, url]) => url)
+    .map(([network, url]) => ({ network, username: usernameFromUrl(url), url }));
+
+  return {
+    $schema: SCHEMA_URL,
+    basics: compact({
+      name: user.name,
+      label: user.headline,
+      image: user.profilePicture,
+      email: user.email,
+      phone: user.phone,
+      url: user.websiteUrl,
+      summary: user.bio,
+      location: compact({
+        address: address.street,
+        postalCode: address.zipCode,
+        city: address.city || user.location,
+        region: address.state,
+        countryCode: address.country
+      }),
+      profiles
+    }),
+    work: (user.experience || []).map(item => compact({
+      name: item.company,
+      position: item.title,
+      location: item.location,
+      startDate: toIsoDate(item.startDate),
+      endDate: item.current ? undefined : toIsoDate(item.endDate),
+      summary: item.description
+    })),
+    education: (user.education || []).map(item => compact({
+      institution: item.institution,
+      area: item.fieldOfStudy,
+      studyType: item.degree,
+      startDate: toIsoDate(item.startYear),
+      endDate: toIsoDate(item.endYear || item.year),
+      score: item.gpa
+    })),
+    skills: (user.skills || []).map(name => ({ name })),
+    meta: compact({
+      canonical: user.handle ? profileUrl(user.handle) : undefined,
+      lastModified: user.updatedAt ? new Date(user.updatedAt).toISOString() : undefined
+    })
+  };
+};
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Check the parts of a JSON Resume we import. Returns a list of problems,
+// empty when the document is usable.
+const validateJsonResume = (data) => {
+  const errors = [];
+
+  if (!isPlainObject(data)) {
+    return ['A JSON Resume must be a JSON object'];
+  }
+  if (!data.basics && !data.work && !data.education && !data.skills) {
+    return ['The resume has no basics, work, education or skills to import'];
+  }
+
+  const checkString = (value, path) => {
+    if (value !== undefined && typeof value !== 'string') {
+      errors.push(`${path} must be a string`);
+    }
+  };
+  const checkDate = (value, path) => {
+    checkString(value, path);
+    if (typeof value === 'string' && value && !ISO_DATE.test(value)) {
+      errors.push(`${path} must be an ISO 8601 date (YYYY, YYYY-MM or YYYY-MM-DD)`);
+    }
+  };
+  const checkList = (value, path, max) => {
+    if (value === undefined) return [];
+    if (!Array.isArray(value)) {
+      errors.push(`${path} must be an array`);
+      return [];
+    }
+    if (value.length > max) {
+      errors.push(`${path} can have at most ${max} entries`);
+      return [];
+    }
+    return value.filter((item, index) => {
+      if (!isPlainObject(item)) {
+        errors.push(`${path}[${index}] must be an object`);
+        return false;
+      }
+      return true;
+    });
+  };
+
+  if (data.basics !== undefined) {
+    if (!isPlainObject(data.basics)) {
+      errors.push('basics must be an object');
+    } else {
+      const { basics } = data;
+      ['name', 'label', 'image', 'email', 'phone', 'url', 'summary'].forEach(field => checkString(basics[field], `basics.${field}`));
+      if (typeof basics.email === 'string' && basics.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(basics.email)) {
+        errors.push('basics.email must be an email address');
+      }
+      if (basics.location !== undefined && !isPlainObject(basics.location)) {
+        errors.push('basics.location must be an object');
+      } else if (basics.location) {
+        ['address', 'postalCode', 'city', 'region', 'countryCode'].forEach(field => checkString(basics.location[field], `basics.location.${field}`));
+      }
+      checkList(basics.profiles, 'basics.profiles', MAX_ENTRIES).forEach((profile, index) => {
+        ['network', 'username', 'url'].forEach(field => checkString(profile[field], `basics.profiles[${index}].${field}`));
+      });
+    }
+  }
+
+  checkList(data.work, 'work', MAX_ENTRIES).forEach((item, index) => {
+    ['name', 'position', 'location', 'summary'].forEach(field => checkString(item[field], `work[${index}].${field}`));
+    checkDate(item.startDate, `work[${index}].startDate`);
+    checkDate(item.endDate, `work[${index}].endDate`);
+    if (item.highlights !== undefined && !(Array.isArray(item.highlights) && item.highlights.every(h => typeof h === 'string'))) {
+      errors.push(`work[${index}].highlights must be an array of strings`);
+    }
+  });
+
+  checkList(data.education, 'education', MAX_ENTRIES).forEach((item, index) => {
+    ['institution', 'area', 'studyType', 'score'].forEach(field => checkString(item[field], `education[${index}].${field}`));
+    checkDate(item.startDate, `education[${index}].startDate`);
+    checkDate(item.endDate, `education[${index}].endDate`);
+  });
+
+  checkList(data.skills, 'skills', MAX_SKILLS).forEach((item, index) => {
+    checkString(item.name, `skills[${index}].name`);
+    if (item.keywords !== undefined && !(Array.isArray(item.keywords) && item.keywords.every(k => typeof k === 'string'))) {
+      errors.push(`skills[${index}].keywords must be an array of strings`);
+    }
+  });
+
+  return errors;
+};
+
+// Map a validated JSON Resume onto profile fields
+const fromJsonResume = (data) => {
+  const basics = data.basics || {};
+  const location = basics.location || {};
+  const profile = {
+    name: basics.name,
+    headline: basics.label,
+    bio: basics.summary,
+    phone: basics.phone,
+    profilePicture: basics.image,
+    websiteUrl: basics.url,
+    location: [location.city, location.region].filter(Boolean).join(', '),
+    address: compact({
+      street: location.address,
+      city: location.city,
+      state: location.region,
+      zipCode: location.postalCode,
+      country: location.countryCode
+    })
+  };
+
+  for (const item of basics.profiles || []) {
+    const field = PROFILE_NETWORKS[(item.network || '').toLowerCase()];
+    if (field && item.url && !profile[field]) {
+      profile[field] = item.url;
+    }
+  }
+
+  // Skill groups list the actual skills as keywords
+  profile.skills = (data.skills || [])
+    .flatMap(skill => (skill.keywords && skill.keywords.length ? skill.keywords : [skill.name]))
+    .map(skill => (skill || '').trim())
+    .filter(Boolean);
+
+  profile.experience = (data.work || []).map(item => ({
+    title: item.position || '',
+    company: item.name || '',
+    location: item.location || '',
+    startDate: fromIsoDate(item.startDate),
+    endDate: fromIsoDate(item.endDate),
+    current: !!item.startDate && !item.endDate,
+    duration: [fromIsoDate(item.startDate), item.endDate ? fromIsoDate(item.endDate) : item.startDate && 'Present'].filter(Boolean).join(' - '),
+    description: [item.summary, ...(item.highlights || [])].filter(Boolean).join('\n')
+  }));
+
+  profile.education = (data.education || []).map(item => {
+    const startYear = (item.startDate || '').slice(0, 4);
+    const endYear = (item.endDate || '').slice(0, 4);
+    return {
+      degree: item.studyType || '',
+      institution: item.institution || '',
+      fieldOfStudy: item.area || '',
+      startYear,
+      endYear,
+      year: endYear || startYear,
+      gpa: item.score || ''
+    };
+  });
+
+  return profile;
+};
+
+const SCALAR_FIELDS = ['name', 'headline', 'bio', 'phone', 'location', 'profilePicture', 'linkedinUrl', 'githubUrl', 'portfolioUrl', 'websiteUrl'];
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'zipCode', 'country'];
+
+const sameText = (a, b) => (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+
+// Work out a non-destructive merge: imported values only fill fields that
+// are empty on the profile, and list entries are added when the profile
+// doesn't already have them. Returns the diff to show the user and the
+// update to apply.
+const planImport = (user, imported) => {
+  const diff = { set: {}, added: { skills: [], experience: [], education: [] }, kept: {} };
+  const update = { $set: {}, $push: {} };
+
+  for (const field of SCALAR_FIELDS) {
+    const incoming = imported[field];
+    if (!incoming || sameText(user[field], incoming)) continue;
+
+    if (user[field]) {
+      diff.kept[field] = { current: user[field], incoming };
+    } else {
+      diff.set[field] = incoming;
+      update.$set[field] = incoming;
+    }
+  }
+
+  const address = (user.address && typeof user.address.toObject === 'function') ? user.address.toObject() : (user.address || {});
+  for (const field of ADDRESS_FIELDS) {
+    const incoming = (imported.address || {})[field];
+    if (!incoming || sameText(address[field], incoming)) continue;
+
+    if (address[field]) {
+      diff.kept[`address.${field}`] = { current: address[field], incoming };
+    } else {
+      diff.set[`address.${field}`] = incoming;
+      update.$set[`address.${field}`] = incoming;
+    }
+  }
+
+  const skills = [...(user.skills || [])];
+  for (const skill of imported.skills) {
+    if (!skills.some(existing => sameText(existing, skill))) {
+      skills.push(skill);
+      diff.added.skills.push(skill);
+    }
+  }
+
+  const experience = [...(user.experience || [])];
+  for (const item of imported.experience) {
+    if (!experience.some(existing => sameText(existing.title, item.title) && sameText(existing.company, item.company))) {
+      experience.push(item);
+      diff.added.experience.push(item);
+    }
+  }
+
+  const education = [...(user.education || [])];
+  for (const item of imported.education) {
+    if (!education.some(existing => sameText(existing.institution, item.institution) && sameText(existing.degree, item.degree))) {
+      education.push(item);
+      diff.added.education.push(item);
+    }
+  }
+
+  for (const field of ['skills', 'experience', 'education']) {
+    if (diff.added[field].length > 0) {
+      update.$push[field] = { $each: diff.added[field] };
+    }
+  }
+
+  const hasChanges = Object.keys(update.$set).length > 0 || Object.keys(update.$push).length > 0;
+  if (!Object.keys(update.$set).length) delete update.$set;
+  if (!Object.keys(update.$push).length) delete update.$push;
+
+  return { diff, update, hasChanges };
+};
+
+module.exports = {
+  toJsonResume,
+  validateJsonResume,
+  fromJsonResume,
+  planImport
+};
@@ -0,0 +1,65 @@
+const User = require('../models/User');
+const { createNotification } = require('../routes/notifications');
+const { sendMail } = require('./mailer');
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const BASE_LOCK_MS = (parseInt(process.env.LOGIN_LOCK_MINUTES) || 15) * 60 * 1000;
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+
+const isLocked = (user) => !!user.lockUntil && user.lockUntil > new Date();
+
+// Count a failed login. Every MAX_FAILED_ATTEMPTS failures lock the account,
+// each lock twice as long as the previous one, and the owner is told.
+const registerFailedLogin = async (user, req) => {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  ).select('name email failedLoginAttempts lockCount');
+
+  if (updated.failedLoginAttempts < MAX_FAILED_ATTEMPTS) {
+    return null;
+  }
+
+  const lockMs = Math.min(BASE_LOCK_MS * 2 ** (updated.lockCount || 0), MAX_LOCK_MS);
+  const lockUntil = new Date(Date.now() + lockMs);
+
+  await User.findByIdAndUpdate(user._id, {
+    lockUntil,
+    failedLoginAttempts: 0,
+    $inc: { lockCount: 1 }
+  });
+
+  const minutes = Math.round(lockMs / 60000);
+  const message = `Your account was locked for ${minutes} minutes after ${MAX_FAILED_ATTEMPTS} failed login attempts from ${req.ip}. If this wasn't you, reset your password.`;
+
+  await createNotification({
+    recipient: user._id,
+    type: 'account_locked',
+    message
+  });
+  await sendMail({
+    to: updated.email,
+    subject: 'Your account has been temporarily locked',
+    text: `Hi ${updated.name},\n\n${message}`
+  });
+
+  return lockUntil;
+};
+
+// Reset the failure counters after a successful login
+const clearFailedLogins = async (user) => {
+  if (user.failedLoginAttempts || user.lockCount || user.lockUntil) {
+    await User.findByIdAndUpdate(user._id, {
+      failedLoginAttempts: 0,
+      lockCount: 0,
+      $unset: { lockUntil: 1 }
+    });
+  }
+};
+
+module.exports = {
+  isLocked,
+  registerFailedLogin,
+  clearFailedLogins
+};
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Mail transports, picked with MAIL_TRANSPORT:
+// - smtp: real delivery through SMTP_* settings
+// - file: writes each message as JSON into MAIL_DIR, for local testing
+// - console: logs each message (default)
+const transports = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+    return (mail) => transporter.sendMail(mail);
+  },
+  file: () => {
+    const dir = process.env.MAIL_DIR || path.join(__dirname, '..', 'mail-outbox');
+    return async (mail) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${mail.to.replace(/[^a-z0-9@.]/gi, '_')}.json`);
+      await fs.promises.writeFile(file, JSON.stringify(mail, null, 2));
+    };
+  },
+  console: () => async (mail) => {
+    console.log(`📧 Mail to ${mail.to}: ${mail.subject}\n${mail.text}`);
+  }
+};
+
+let send = null;
+
+const getTransport = () => {
+  if (!send) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    send = transports[name]();
+  }
+  return send;
+};
+
+// Send an email. Failures are logged rather than thrown so a mail outage
+// never breaks the request that triggered it.
+const sendMail = async ({ to, subject, text }) => {
+  try {
+    await getTransport()({
+      from: process.env.MAIL_FROM || 'Job Portal <no-reply@localhost>',
+      to,
+      subject,
+      text
+    });
+    return true;
+  } catch (error) {
+    console.error('Send mail error:', error);
+    return false;
+  }
+};
+
+module.exports = {
+  sendMail
+};
@@ -0,0 +1,75 @@
+// Server-side prices for everything users can pay for.
+// EVM prices apply to both Ethereum and Polygon; stablecoin prices are in USD
+// and apply to every accepted ERC-20 token.
+
+const PREMIUM_DURATIONS = [1, 3, 6, 12];
+
+// How long a job stays boosted/featured per purchase
+const getPromotionDays = (purpose) => {
+  switch (purpose) {
+    case 'job_boost':
+      return parseInt(process.env.JOB_BOOST_DAYS) || 7;
+    case 'featured_listing':
+      return parseInt(process.env.FEATURED_LISTING_DAYS) || 30;
+    default:
+      return null;
+  }
+};
+
+const envPrice = (name, fallback) => parseFloat(process.env[name]) || fallback;
+
+const getBasePrices = (purpose) => {
+  switch (purpose) {
+    case 'job_posting':
+      return {
+        evm: envPrice('PLATFORM_FEE_ETH', 0.00001),
+        sol: envPrice('PLATFORM_FEE_SOL', 0.0001),
+        usd: envPrice('PLATFORM_FEE_USD', 5)
+      };
+    case 'premium_subscription':
+      return {
+        evm: envPrice('PREMIUM_FEE_ETH', 0.0001),
+        sol: envPrice('PREMIUM_FEE_SOL', 0.001),
+        usd: envPrice('PREMIUM_FEE_USD', 10)
+      };
+    case 'job_boost':
+      return {
+        evm: envPrice('JOB_BOOST_FEE_ETH', 0.00005),
+        sol: envPrice('JOB_BOOST_FEE_SOL', 0.0005),
+        usd: envPrice('JOB_BOOST_FEE_USD', 5)
+      };
+    case 'featured_listing':
+      return {
+        evm: envPrice('FEATURED_LISTING_FEE_ETH', 0.0001),
+        sol: envPrice('FEATURED_LISTING_FEE_SOL', 0.001),
+        usd: envPrice('FEATURED_LISTING_FEE_USD', 15)
+      };
+    default:
+      return null;
+  }
+};
+
+// Round away float noise (SOL has 9 decimals, well within ETH's 18)
+const roundAmount = (amount) => Number(amount.toFixed(9));
+
+// Quote the exact amount per chain for a purchase, or null for unknown purposes.
+// Premium is priced per month.
+const quote = (purpose, { durationMonths = 1 } = {}) => {
+  const base = getBasePrices(purpose);
+  if (!base) return null;
+
+  const units = purpose === 'premium_subscription' ? durationMonths : 1;
+
+  return {
+    ethereum: roundAmount(base.evm * units),
+    polygon: roundAmount(base.evm * units),
+    solana: roundAmount(base.sol * units),
+    stablecoin: roundAmount(base.usd * units)
+  };
+};
+
+module.exports = {
+  PREMIUM_DURATIONS,
+  getPromotionDays,
+  quote
+};
@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+
+const VISIBILITY_LEVELS = ['public', 'connections', 'only_me'];
+
+// Profile fields whose visibility the owner controls, grouped by setting
+const PRIVACY_FIELDS = {
+  email: ['email'],
+  phone: ['phone'],
+  address: ['address'],
+  walletAddress: ['walletAddress', 'walletType'],
+  location: ['location'],
+  links: ['linkedinUrl', 'githubUrl', 'portfolioUrl', 'websiteUrl'],
+  experience: ['experience'],
+  education: ['education'],
+  connections: ['connections'],
+  resume: ['resume']
+};
+
+const PRIVACY_DEFAULTS = {
+  email: 'connections',
+  phone: 'only_me',
+  address: 'only_me',
+  // A wallet address exposes the owner's on-chain history, so it stays
+  // private until the owner shares it
+  walletAddress: 'only_me',
+  location: 'public',
+  links: 'public',
+  experience: 'public',
+  education: 'public',
+  connections: 'connections',
+  resume: 'connections'
+};
+
+// Account data nobody but the owner ever sees
+const OWNER_ONLY_FIELDS = [
+  'password',
+  'twoFactor',
+  'failedLoginAttempts',
+  'lockCount',
+  'lockUntil',
+  'suspension',
+  'emailVerified',
+  'emailVerifiedAt',
+  'wallets',
+  'savedJobs',
+  'appliedJobs',
+  'blockedUsers',
+  'mutedUsers',
+  'profileViews',
+  'aiUsage',
+  'premiumExpiresAt',
+  'premiumExpiryNotifiedAt',
+  'privacy'
+];
+
+const RECRUITER_ROLES = ['recruiter', 'admin'];
+
+// The user's settings with defaults filled in for anything left unset
+const getPrivacySettings = (user) => {
+  const settings = { ...PRIVACY_DEFAULTS };
+
+  for (const [setting, value] of Object.entries((user && user.privacy) || {})) {
+    if (setting in PRIVACY_DEFAULTS && value) {
+      settings[setting] = value;
+    }
+  }
+
+  return settings;
+};
+
+const canSee = (setting, relation) => {
+  if (relation === 'self') return true;
+  if (setting === 'public') return true;
+  return setting === 'connections' && relation === 'connection';
+};
+
+const getRelation = (user, viewer) => {
+  if (!viewer || !user._id) return 'public';
+
+  const userId = user._id.toString();
+  const viewerId = viewer._id.toString();
+
+  if (userId === viewerId) return 'self';
+  if ((viewer.connections || []).some(id => (id._id || id).toString() === userId)) return 'connection';
+  return 'public';
+};
+
+const canSeeOpenToWork = (openToWork, viewer) => {
+  if (!openToWork || !openToWork.enabled) return false;
+  return openToWork.visibility !== 'recruiters' || (!!viewer && RECRUITER_ROLES.includes(viewer.role));
+};
+
+// Strip a user (document, plain object or populated ref) down to what the
+// viewer may see. Unpopulated ids are returned unchanged. asConnection gives
+// the viewer connection-level access, e.g. a job poster reading applications.
+const serializeUser = (user, viewer, { asConnection = false } = {}) => {
+  if (!user || user instanceof mongoose.Types.ObjectId) {
+    return user;
+  }
+
+  const data = typeof user.toObject === 'function' ? user.toObject() : { ...user };
+  delete data.password;
+
+  let relation = getRelation(data, viewer);
+  if (asConnection && relation === 'public') {
+    relation = 'connection';
+  }
+
+  // Nested connections get the same treatment
+  if (Array.isArray(data.connections)) {
+    data.connections = data.connections.map(connection => serializeUser(connection, viewer));
+  }
+
+  if (relation === 'self') {
+    return data;
+  }
+
+  const privacy = getPrivacySettings(data);
+
+  for (const field of OWNER_ONLY_FIELDS) {
+    delete data[field];
+  }
+
+  for (const [setting, fields] of Object.entries(PRIVACY_FIELDS)) {
+    if (!canSee(privacy[setting], relation)) {
+      for (const field of fields) {
+        delete data[field];
+      }
+    }
+  }
+
+  if (!canSeeOpenToWork(data.openToWork, viewer)) {
+    delete data.openToWork;
+  } else if (data.openToWork) {
+    delete data.openToWork.visibility;
+  }
+
+  return data;
+};
+
+const serializeUsers = (users, viewer, options) => users.map(user => serializeUser(user, viewer, options));
+
+// Serialize a populated user path on a document, e.g. a post's author
+const serializeRef = (doc, path, viewer, options) => {
+  const data = typeof doc.toObject === 'function' ? doc.toObject() : { ...doc };
+  data[path] = serializeUser(data[path], viewer, options);
+  return data;
+};
+
+module.exports = {
+  VISIBILITY_LEVELS,
+  PRIVACY_FIELDS,
+  PRIVACY_DEFAULTS,
+  RECRUITER_ROLES,
+  getPrivacySettings,
+  canSeeOpenToWork,
+  serializeUser,
+  serializeUsers,
+  serializeRef
+};
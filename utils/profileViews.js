@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const ProfileView = require('../models/ProfileView');
+const User = require('../models/User');
+const { getPrivacySettings, serializeUser } = require('./privacy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOP_LIMIT = 5;
+const RECENT_VIEWERS_LIMIT = 20;
+
+// The viewer's current employer, only if their experience is public
+const currentCompany = (viewer) => {
+  if (getPrivacySettings(viewer).experience !== 'public') {
+    return '';
+  }
+  const current = (viewer.experience || []).find(item => item.current || !item.endDate);
+  return (current && current.company) || '';
+};
+
+// Record a view unless the same viewer already viewed in the last 24 hours.
+// Returns whether a new view was stored.
+const recordProfileView = async (profileId, viewer) => {
+  const recent = await ProfileView.exists({
+    profile: profileId,
+    viewer: viewer._id,
+    viewedAt: { $gte: new Date(Date.now() - DAY_MS) }
+  });
+  if (recent) {
+    return false;
+  }
+
+  await ProfileView.create({
+    profile: profileId,
+    viewer: viewer._id,
+    viewerHeadline: viewer.headline || '',
+    viewerCompany: currentCompany(viewer)
+  });
+  await User.findByIdAndUpdate(profileId, { $inc: { profileViews: 1 } });
+
+  return true;
+};
+
+const toTopList = (rows) => rows.map(row => ({ name: row._id, count: row.count }));
+
+// Views of a profile over the last `days` days: daily counts (UTC, zero
+// filled), unique viewers, top viewer companies and headlines, and recent
+// viewers. Viewer identities are only included with includeIdentities.
+const getViewStats = async (profileId, { days, viewer, includeIdentities, excludeIds = [] }) => {
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  const since = new Date(today.getTime() - (days - 1) * DAY_MS);
+
+  const [result] = await ProfileView.aggregate([
+    {
+      $match: {
+        profile: new mongoose.Types.ObjectId(profileId.toString()),
+        viewedAt: { $gte: since },
+        viewer: { $nin: excludeIds }
+      }
+    },
+    {
+      $facet: {
+        daily: [
+          { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$viewedAt' } }, count: { $sum: 1 } } }
+        ],
+        viewers: [
+          { $sort: { viewedAt: -1 } },
+          {
+            $group: {
+              _id: '$viewer',
+              lastViewedAt: { $first: '$viewedAt' },
+              headline: { $first: '$viewerHeadline' },
+              company: { $first: '$viewerCompany' },
+              views: { $sum: 1 }
+            }
+          },
+          { $sort: { lastViewedAt: -1 } }
+        ],
+        companies: [
+          { $match: { viewerCompany: { $ne: '' } } },
+          { $group: { _id: '$viewerCompany', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: TOP_LIMIT }
+        ],
+        headlines: [
+          { $match: { viewerHeadline: { $ne: '' } } },
+          { $group: { _id: '$viewerHeadline', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: TOP_LIMIT }
+        ]
+      }
+    }
+  ]);
+
+  const countsByDay = new Map(result.daily.map(row => [row._id, row.count]));
+  const daily = [];
+  for (let i = 0; i < days; i++) {
+    const date = new Date(since.getTime() + i * DAY_MS).toISOString().slice(0, 10);
+    daily.push({ date, count: countsByDay.get(date) || 0 });
+  }
+
+  const recent = result.viewers.slice(0, RECENT_VIEWERS_LIMIT);
+  let recentViewers;
+
+  if (includeIdentities) {
+    const users = await User.find({ _id: { $in: recent.map(row => row._id) } })
+      .select('name headline profilePicture handle privacy');
+    const usersById = new Map(users.map(user => [user._id.toString(), serializeUser(user, viewer)]));
+
+    recentViewers = recent
+      .filter(row => usersById.has(row._id.toString()))
+      .map(row => ({
+        user: usersById.get(row._id.toString()),
+        company: row.company,
+        views: row.views,
+        lastViewedAt: row.lastViewedAt
+      }));
+  } else {
+    recentViewers = recent.map(row => ({
+      anonymous: true,
+      headline: row.headline,
+      company: row.company,
+      lastViewedAt: row.lastViewedAt
+    }));
+  }
+
+  return {
+    totalViews: daily.reduce((sum, day) => sum + day.count, 0),
+    uniqueViewers: result.viewers.length,
+    daily,
+    topCompanies: toTopList(result.companies),
+    topHeadlines: toTopList(result.headlines),
+    recentViewers
+  };
+};
+
+module.exports = {
+  recordProfileView,
+  getViewStats
+};
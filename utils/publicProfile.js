@@ -0,0 +1,74 @@
+// Shareable representations of a public profile. Expects a user already
+// run through serializeUser with no viewer, so only public fields are set.
+
+// 3-30 lowercase letters, numbers and dashes, no dash at either end
+const HANDLE_PATTERN = /^[a-z0-9](?:[a-z0-9-]{1,28}[a-z0-9])$/;
+
+const RESERVED_HANDLES = [
+  'admin', 'api', 'app', 'auth', 'help', 'jobs', 'login', 'logout', 'me',
+  'messages', 'notifications', 'posts', 'public', 'register', 'settings',
+  'support', 'u', 'users'
+];
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const profileUrl = (handle) => `${frontendUrl()}/u/${handle}`;
+
+const truncate = (text, length) =>
+  text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+
+const currentPosition = (profile) =>
+  (profile.experience || []).find(item => item.current || !item.endDate);
+
+const buildOpenGraph = (profile) => {
+  const position = currentPosition(profile);
+  const summary = profile.headline ||
+    (position ? `${position.title} at ${position.company}` : '') ||
+    (profile.skills || []).slice(0, 5).join(', ');
+
+  return {
+    'og:type': 'profile',
+    'og:title': summary ? `${profile.name} – ${summary}` : profile.name,
+    'og:description': truncate(profile.bio || summary || `${profile.name}'s profile`, 200),
+    'og:url': profileUrl(profile.handle),
+    'og:image': profile.profilePicture || undefined,
+    'profile:username': profile.handle
+  };
+};
+
+const buildPersonJsonLd = (profile) => {
+  const position = currentPosition(profile);
+  const links = ['linkedinUrl', 'githubUrl', 'portfolioUrl', 'websiteUrl']
+    .map(field => profile[field])
+    .filter(Boolean);
+  const schools = [...new Set((profile.education || []).map(item => item.institution).filter(Boolean))];
+
+  const person = {
+    '@context': 'https://schema.org',
+    '@type': 'Person',
+    name: profile.name,
+    url: profileUrl(profile.handle),
+    identifier: profile.handle
+  };
+
+  if (profile.headline) person.jobTitle = profile.headline;
+  else if (position && position.title) person.jobTitle = position.title;
+  if (profile.bio) person.description = profile.bio;
+  if (profile.profilePicture) person.image = profile.profilePicture;
+  if (profile.email) person.email = `mailto:${profile.email}`;
+  if (profile.location) person.address = { '@type': 'PostalAddress', addressLocality: profile.location };
+  if (position && position.company) person.worksFor = { '@type': 'Organization', name: position.company };
+  if (schools.length) person.alumniOf = schools.map(name => ({ '@type': 'EducationalOrganization', name }));
+  if (profile.skills && profile.skills.length) person.knowsAbout = profile.skills;
+  if (links.length) person.sameAs = links;
+
+  return person;
+};
+
+module.exports = {
+  HANDLE_PATTERN,
+  RESERVED_HANDLES,
+  profileUrl,
+  buildOpenGraph,
+  buildPersonJsonLd
+};
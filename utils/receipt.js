@@ -0,0 +1,59 @@
+const PDFDocument = require('pdfkit');
+
+const PURPOSE_LABELS = {
+  job_posting: 'Job posting fee',
+  premium_subscription: 'Premium subscription',
+  job_boost: 'Job boost',
+  featured_listing: 'Featured listing'
+};
+
+const formatInvoiceNumber = (invoiceNumber) => `INV-${String(invoiceNumber).padStart(6, '0')}`;
+
+const formatFiat = (payment) =>
+  payment.fiatValue !== undefined && payment.fiatValue !== null
+    ? `${payment.fiatValue.toFixed(2)} ${payment.fiatCurrency || 'USD'}`
+    : 'Not available';
+
+// Render a confirmed payment as a PDF invoice. Expects `user` and
+// `relatedJobId` to be populated. Returns the document stream; the caller
+// pipes it and calls end().
+const createReceiptPdf = (payment) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+
+  doc.fontSize(20).text('Payment Receipt', { align: 'right' });
+  doc.fontSize(10).fillColor('#555555')
+    .text(`Invoice ${formatInvoiceNumber(payment.invoiceNumber)}`, { align: 'right' })
+    .text(`Date: ${(payment.confirmedAt || payment.createdAt).toISOString().slice(0, 10)}`, { align: 'right' });
+
+  doc.moveDown(2).fillColor('#000000').fontSize(12).text('Billed to', { underline: true });
+  doc.fontSize(10)
+    .text(payment.user ? payment.user.name : 'Unknown user')
+    .text(`Wallet: ${payment.fromAddress}`);
+
+  const rows = [
+    ['Description', PURPOSE_LABELS[payment.purpose] || payment.purpose],
+    ['Job', payment.relatedJobId ? payment.relatedJobId.title : '-'],
+    ['Chain', payment.blockchain],
+    ['Transaction', payment.transactionHash],
+    ['Amount', `${payment.amount} ${payment.currency}`],
+    ['Value at confirmation', formatFiat(payment)]
+  ];
+
+  doc.moveDown(2).fontSize(12).text('Payment details', { underline: true }).moveDown(0.5);
+  rows.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.fontSize(10).fillColor('#555555').text(label, 50, y, { width: 140 });
+    doc.fillColor('#000000').text(String(value), 200, y, { width: 345 });
+    doc.moveDown(0.5);
+  });
+
+  doc.moveDown(2).fontSize(8).fillColor('#888888')
+    .text('This payment was made in cryptocurrency and verified on-chain. The fiat value is indicative, based on the market price when the payment was confirmed.', 50);
+
+  return doc;
+};
+
+module.exports = {
+  formatInvoiceNumber,
+  createReceiptPdf
+};
@@ -0,0 +1,472 @@
+// Rule-based resume parser. It fills the same shape the AI parser returns so
+// uploads still work without an AI provider, and gives the AI a starting
+// point to refine when one is available.
+
+const SECTION_HEADINGS = {
+  summary: ['summary', 'professional summary', 'profile', 'professional profile', 'about', 'about me', 'objective', 'career objective'],
+  experience: ['experience', 'work experience', 'professional experience', 'employment', 'employment history', 'work history', 'career history', 'relevant experience'],
+  education: ['education', 'academic background', 'academics', 'qualifications', 'education and training', 'academic qualifications'],
+  skills: ['skills', 'technical skills', 'key skills', 'core skills', 'core competencies', 'competencies', 'technologies', 'tools and technologies', 'skills and tools'],
+  // Sections we don't parse, but which end the one before them
+  other: ['projects', 'personal projects', 'certifications', 'certificates', 'awards', 'achievements', 'languages', 'interests', 'hobbies', 'publications', 'volunteering', 'volunteer experience', 'references', 'courses', 'activities']
+};
+
+// Canonical skill name -> lowercase spellings to look for. Spellings that
+// are also everyday words ("rest", "express") are left out.
+const SKILLS = {
+  'JavaScript': ['javascript', 'js', 'es6'],
+  'TypeScript': ['typescript'],
+  'Python': ['python'],
+  'Java': ['java'],
+  'C++': ['c++'],
+  'C#': ['c#'],
+  'Go': ['golang'],
+  'Rust': ['rust'],
+  'Ruby': ['ruby'],
+  'PHP': ['php'],
+  'Swift': ['swift'],
+  'Kotlin': ['kotlin'],
+  'Scala': ['scala'],
+  'Solidity': ['solidity'],
+  'SQL': ['sql'],
+  'HTML': ['html', 'html5'],
+  'CSS': ['css', 'css3'],
+  'Sass': ['sass', 'scss'],
+  'Tailwind CSS': ['tailwind', 'tailwindcss'],
+  'React': ['react', 'react.js', 'reactjs'],
+  'React Native': ['react native'],
+  'Next.js': ['next.js', 'nextjs'],
+  'Vue.js': ['vue', 'vue.js', 'vuejs'],
+  'Angular': ['angular', 'angularjs'],
+  'Svelte': ['svelte'],
+  'Redux': ['redux'],
+  'Node.js': ['node', 'node.js', 'nodejs'],
+  'Express': ['express.js', 'expressjs'],
+  'NestJS': ['nestjs', 'nest.js'],
+  'Django': ['django'],
+  'Flask': ['flask'],
+  'FastAPI': ['fastapi'],
+  'Spring Boot': ['spring boot'],
+  'Ruby on Rails': ['rails', 'ruby on rails'],
+  'Laravel': ['laravel'],
+  '.NET': ['.net', 'asp.net', 'dotnet'],
+  'GraphQL': ['graphql'],
+  'REST APIs': ['restful', 'rest api', 'rest apis'],
+  'MongoDB': ['mongodb', 'mongo', 'mongoose'],
+  'PostgreSQL': ['postgresql', 'postgres'],
+  'MySQL': ['mysql'],
+  'SQLite': ['sqlite'],
+  'Redis': ['redis'],
+  'Elasticsearch': ['elasticsearch'],
+  'Firebase': ['firebase'],
+  'AWS': ['aws', 'amazon web services'],
+  'Azure': ['azure'],
+  'Google Cloud': ['gcp', 'google cloud'],
+  'Docker': ['docker'],
+  'Kubernetes': ['kubernetes', 'k8s'],
+  'Terraform': ['terraform'],
+  'CI/CD': ['ci/cd', 'continuous integration'],
+  'Jenkins': ['jenkins'],
+  'GitHub Actions': ['github actions'],
+  'Git': ['git'],
+  'Linux': ['linux'],
+  'Bash': ['bash', 'shell scripting'],
+  'Jest': ['jest'],
+  'Cypress': ['cypress'],
+  'Selenium': ['selenium'],
+  'Webpack': ['webpack'],
+  'Figma': ['figma'],
+  'Machine Learning': ['machine learning', 'ml'],
+  'Deep Learning': ['deep learning'],
+  'Data Analysis': ['data analysis', 'data analytics'],
+  'TensorFlow': ['tensorflow'],
+  'PyTorch': ['pytorch'],
+  'scikit-learn': ['scikit-learn', 'sklearn'],
+  'Pandas': ['pandas'],
+  'NumPy': ['numpy'],
+  'Tableau': ['tableau'],
+  'Power BI': ['power bi'],
+  'Excel': ['ms excel', 'microsoft excel'],
+  'Blockchain': ['blockchain'],
+  'Ethereum': ['ethereum'],
+  'Solana': ['solana'],
+  'Web3': ['web3', 'web3.js'],
+  'Agile': ['agile'],
+  'Scrum': ['scrum'],
+  'Jira': ['jira'],
+  'Project Management': ['project management'],
+  'Product Management': ['product management'],
+  'UI/UX Design': ['ui/ux', 'ux design', 'ui design'],
+  'SEO': ['seo'],
+  'Digital Marketing': ['digital marketing'],
+  'Communication': ['communication skills'],
+  'Leadership': ['leadership', 'team leadership'],
+  'Problem Solving': ['problem solving', 'problem-solving']
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const DATE = '(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?\\s+\\d{4}|\\d{1,2}\\/\\d{4}|\\d{4})';
+const DATE_RANGE = new RegExp(`(${DATE})\\s*(?:-|–|—|to|until)\\s*(${DATE}|present|current|now|today|till date|ongoing)`, 'i');
+const YEAR = /\b(19|20)\d{2}\b/g;
+
+const EMAIL = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i;
+const PHONE = /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?)?\d[\d\s.-]{6,14}\d/g;
+const URL = /\b(?:https?:\/\/|www\.)[^\s<>()|,;]+|\b(?:linkedin\.com|github\.com)\/[^\s<>()|,;]+/gi;
+const LOCATION = /^[A-Z][A-Za-z .'-]+,\s*[A-Z][A-Za-z .'-]+$/;
+const GPA = /\b(?:c?gpa|cgpa)\s*[:\-]?\s*(\d+(?:\.\d+)?(?:\s*\/\s*\d+(?:\.\d+)?)?)/i;
+
+const BULLET = /^[•●▪■◦‣∙*·–-]\s*/;
+const SEPARATOR = /\s+(?:\||–|—|-|·|•|@|at)\s+|\s*\|\s*|,\s+|\t+|\s{2,}/;
+
+const TITLE_WORDS = /\b(engineer|developer|programmer|manager|intern|analyst|designer|lead|consultant|director|architect|scientist|specialist|officer|assistant|associate|administrator|coordinator|head|founder|president|vp|executive|editor|writer|teacher|researcher|technician|accountant|representative|strategist|owner|trainee|fellow)\b/i;
+const INSTITUTION_WORDS = /\b(university|college|institute|school|academy|polytechnic|iit|nit)\b/i;
+const DEGREE_WORDS = /\b(bachelor'?s?|master'?s?|ph\.?d|doctorate|mba|diploma|associate degree|high school|secondary|higher secondary)\b/i;
+// Case-sensitive so words like "be" and "ma" don't count
+const DEGREE_ABBREVIATIONS = /\b[BM]\.?\s?(?:Sc|S|A|E|Tech|Com|Eng|CA|BA)\b\.?/;
+
+const isDegree = (text) => DEGREE_WORDS.test(text) || DEGREE_ABBREVIATIONS.test(text);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+// Word-ish boundaries that also work for names like C++, C# and .NET
+const skillPatterns = Object.entries(SKILLS).map(([name, spellings]) => ({
+  name,
+  pattern: new RegExp(`(?<![a-z0-9+#.])(?:${spellings.map(escapeRegex).join('|')})(?![a-z0-9+#]|\\.[a-z])`, 'i')
+}));
+
+const cleanLine = (line) => line.replace(/\s+/g, ' ').trim();
+
+const headingFor = (line) => {
+  if (line.length > 40) return null;
+  const normalized = line.toLowerCase().replace(/&/g, 'and').replace(/[^a-z ]/g, '').replace(/\s+/g, ' ').trim();
+
+  for (const [section, headings] of Object.entries(SECTION_HEADINGS)) {
+    if (headings.includes(normalized)) return section;
+  }
+  return null;
+};
+
+// Split the text into the lines before the first heading and one list of
+// lines per known section
+const splitSections = (lines) => {
+  const sections = { header: [], summary: [], experience: [], education: [], skills: [], other: [] };
+  let current = 'header';
+
+  for (const line of lines) {
+    const heading = headingFor(line);
+    if (heading) {
+      current = heading;
+    } else {
+      sections[current].push(line);
+    }
+  }
+
+  return sections;
+};
+
+// "september 2021", "Sep. 2021" and "09/2021" all become "Sep 2021"
+const formatDate = (value) => {
+  const [, month, year] = value.match(/^([a-z]+)\.?\s+(\d{4})$/i) || value.match(/^(\d{1,2})\/(\d{4})$/) || [];
+  if (!year) return value;
+
+  const abbreviation = /^\d+$/.test(month) ? MONTHS[parseInt(month) - 1] : MONTHS.find(name => month.toLowerCase().startsWith(name));
+  return abbreviation ? `${abbreviation.charAt(0).toUpperCase()}${abbreviation.slice(1)} ${year}` : year;
+};
+
+// "Jan 2020 - Present" -> { startDate, endDate, current, duration, match }
+const parseDateRange = (line) => {
+  const match = line.match(DATE_RANGE);
+  if (!match) return null;
+
+  const startDate = formatDate(match[1]);
+  const current = !/\d/.test(match[2]);
+  const endDate = current ? '' : formatDate(match[2]);
+
+  return {
+    startDate,
+    endDate,
+    current,
+    duration: `${startDate} - ${current ? 'Present' : endDate}`,
+    match: match[0]
+  };
+};
+
+const splitParts = (text) => text
+  .split(SEPARATOR)
+  .map(part => part.replace(/^[,\s]+|[,\s]+$/g, ''))
+  .filter(Boolean);
+
+const findContactInfo = (text, headerLines) => {
+  const info = {
+    email: '',
+    phone: '',
+    linkedinUrl: '',
+    githubUrl: '',
+    portfolioUrl: '',
+    websiteUrl: ''
+  };
+
+  const email = text.match(EMAIL);
+  if (email) info.email = email[0];
+
+  // Date ranges look like phone numbers, so only accept 10-15 digits
+  for (const candidate of text.match(PHONE) || []) {
+    const digits = candidate.replace(/\D/g, '');
+    if (digits.length >= 10 && digits.length <= 15 && !DATE_RANGE.test(candidate)) {
+      info.phone = candidate.trim();
+      break;
+    }
+  }
+
+  for (const raw of text.replace(EMAIL, ' ').match(URL) || []) {
+    const url = `${/^https?:\/\//i.test(raw) ? '' : 'https://'}${raw.replace(/[.)\]]+$/, '')}`;
+
+    if (/linkedin\.com\//i.test(url)) {
+      info.linkedinUrl = info.linkedinUrl || url;
+    } else if (/github\.com\//i.test(url)) {
+      info.githubUrl = info.githubUrl || url;
+    } else if (/portfolio|behance\.net|dribbble\.com/i.test(url)) {
+      info.portfolioUrl = info.portfolioUrl || url;
+    } else {
+      info.websiteUrl = info.websiteUrl || url;
+    }
+  }
+
+  // A header line segment like "Berlin, Germany"
+  for (const line of headerLines) {
+    const segment = line.split(/\s*[|•·]\s*/).find(part => LOCATION.test(part) && !EMAIL.test(part));
+    if (segment) {
+      info.location = segment;
+      break;
+    }
+  }
+
+  return info;
+};
+
+// The first header lines that aren't contact details are usually the name
+// and then the headline
+const findNameAndHeadline = (headerLines) => {
+  const plain = headerLines.filter(line =>
+    !EMAIL.test(line) &&
+    !/\d{3}/.test(line) &&
+    !/https?:\/\/|www\.|\.com\b/i.test(line) &&
+    !LOCATION.test(line)
+  );
+
+  let name = '';
+  let headline = '';
+
+  if (plain[0] && /^[A-Za-z][A-Za-z .'-]+$/.test(plain[0]) && plain[0].split(' ').length <= 4) {
+    name = plain[0];
+  }
+
+  const next = plain[name ? 1 : 0];
+  if (next && next.length <= 80) {
+    headline = next;
+  }
+
+  return { name, headline };
+};
+
+const findSkills = (text, skillLines) => {
+  const skills = [];
+  const seen = new Set();
+  const add = (skill) => {
+    const key = skill.toLowerCase();
+    if (!seen.has(key)) {
+      seen.add(key);
+      skills.push(skill);
+    }
+  };
+
+  // Listed items in the skills section, minus "Languages:" style labels
+  for (const line of skillLines) {
+    const items = line.replace(BULLET, '').replace(/^[A-Za-z &/]+:\s*/, '').split(/\s*[,;|•·]\s*/);
+    for (const item of items) {
+      const skill = item.replace(/[.]+$/, '').trim();
+      if (skill && skill.length <= 40 && skill.split(' ').length <= 4) {
+        add(skillPatterns.find(({ pattern }) => pattern.test(skill) && skill.length <= 20)?.name || skill);
+      }
+    }
+  }
+
+  for (const { name, pattern } of skillPatterns) {
+    if (pattern.test(text)) add(name);
+  }
+
+  return skills;
+};
+
+// Work out title, company and location from an entry's header text
+const parseRole = (text) => {
+  const atMatch = text.match(/^(.+?)\s+at\s+(.+)$/i);
+  const parts = atMatch ? [atMatch[1], ...splitParts(atMatch[2])] : splitParts(text);
+
+  // The title is the first part that reads like a job title, the company
+  // the first part left over and anything else the location
+  const titleIndex = Math.max(parts.findIndex(part => TITLE_WORDS.test(part)), 0);
+  const [title = '', company = '', ...rest] = [parts[titleIndex], ...parts.filter((part, index) => index !== titleIndex)];
+  return { title, company, location: rest.join(', ') };
+};
+
+// Entries are anchored on date range lines; the one or two short lines
+// above a date line belong to its header and the lines below are its
+// description
+const parseExperience = (lines) => {
+  const dateIndexes = lines.map((line, index) => (parseDateRange(line) ? index : -1)).filter(index => index !== -1);
+  if (dateIndexes.length === 0) return [];
+
+  const entries = [];
+  const headerStarts = dateIndexes.map((dateIndex, k) => {
+    const floor = k === 0 ? 0 : dateIndexes[k - 1] + 1;
+    let start = dateIndex;
+    while (start > floor && dateIndex - start < 2 && !BULLET.test(lines[start - 1]) && lines[start - 1].length <= 80) {
+      start -= 1;
+    }
+    return start;
+  });
+
+  dateIndexes.forEach((dateIndex, k) => {
+    const range = parseDateRange(lines[dateIndex]);
+    const headerText = [...lines.slice(headerStarts[k], dateIndex), lines[dateIndex].replace(range.match, '')]
+      .map(line => line.replace(/[()|,–—-]+\s*$/, '').trim())
+      .filter(Boolean)
+      .join(' | ');
+
+    const end = k + 1 < dateIndexes.length ? headerStarts[k + 1] : lines.length;
+    const description = lines.slice(dateIndex + 1, end)
+      .map(line => line.replace(BULLET, ''))
+      .join('\n');
+
+    entries.push({
+      ...parseRole(headerText),
+      startDate: range.startDate,
+      endDate: range.endDate,
+      current: range.current,
+      duration: range.duration,
+      description
+    });
+  });
+
+  return entries;
+};
+
+const parseEducationEntry = (lines) => {
+  const text = lines.join(' | ');
+  const parts = lines
+    .map(line => line.replace(DATE_RANGE, '').replace(YEAR, '').replace(GPA, ''))
+    .flatMap(splitParts);
+  const range = parseDateRange(text);
+  const years = text.match(YEAR) || [];
+
+  const degree = parts.find(isDegree) || '';
+  const institution = parts.find(part => INSTITUTION_WORDS.test(part) && part !== degree) || '';
+  const fieldMatch = degree.match(/\b(?:in|of)\s+(.+)$/i);
+  const gpaMatch = text.match(GPA);
+
+  const startYear = range ? (range.startDate.match(YEAR) || [''])[0] : (years.length > 1 ? years[0] : '');
+  const endYear = range ? (range.current ? '' : (range.endDate.match(YEAR) || [''])[0]) : (years[years.length - 1] || '');
+
+  return {
+    degree,
+    institution,
+    location: '',
+    startYear,
+    endYear,
+    year: endYear || startYear,
+    fieldOfStudy: fieldMatch ? fieldMatch[1].trim() : '',
+    gpa: gpaMatch ? gpaMatch[1].replace(/\s+/g, '') : ''
+  };
+};
+
+// A new entry starts whenever a degree or institution line shows up and the
+// current entry already has one
+const parseEducation = (lines) => {
+  const blocks = [];
+  let block = null;
+
+  for (const line of lines.map(line => line.replace(BULLET, ''))) {
+    const hasDegree = isDegree(line);
+    const isInstitution = INSTITUTION_WORDS.test(line);
+
+    if (!block || (hasDegree && block.hasDegree) || (isInstitution && block.hasInstitution && !hasDegree)) {
+      block = { lines: [], hasDegree: false, hasInstitution: false };
+      blocks.push(block);
+    }
+
+    block.lines.push(line);
+    block.hasDegree = block.hasDegree || hasDegree;
+    block.hasInstitution = block.hasInstitution || isInstitution;
+  }
+
+  return blocks
+    .map(({ lines: blockLines }) => parseEducationEntry(blockLines))
+    .filter(entry => entry.degree || entry.institution);
+};
+
+const parseResume = (text) => {
+  const lines = (text || '')
+    .split(/\r?\n/)
+    .map(cleanLine)
+    .filter(Boolean);
+
+  const sections = splitSections(lines);
+  const headerLines = sections.header.slice(0, 8);
+  const contact = findContactInfo(lines.join('\n'), headerLines);
+  const { name, headline } = findNameAndHeadline(headerLines);
+
+  return {
+    name,
+    headline,
+    bio: sections.summary.join(' ').slice(0, 600),
+    location: contact.location || '',
+    email: contact.email,
+    phone: contact.phone,
+    linkedinUrl: contact.linkedinUrl,
+    githubUrl: contact.githubUrl,
+    portfolioUrl: contact.portfolioUrl,
+    websiteUrl: contact.websiteUrl,
+    skills: findSkills(lines.join('\n'), sections.skills),
+    experience: parseExperience(sections.experience),
+    education: parseEducation(sections.education)
+  };
+};
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  value === '' ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === 'object' && !Array.isArray(value) && Object.values(value).every(isEmpty));
+
+// Lay the AI's result over the rule-based one: anything the AI filled in
+// wins, gaps keep the rule-based values and skills from both are kept
+const mergeParsedResume = (base, refined) => {
+  if (!refined || typeof refined !== 'object') return base;
+
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(refined)) {
+    if (!isEmpty(value)) merged[key] = value;
+  }
+
+  const skills = [...(Array.isArray(refined.skills) ? refined.skills : []), ...(base.skills || [])];
+  merged.skills = skills.filter((skill, index) =>
+    typeof skill === 'string' &&
+    skills.findIndex(other => typeof other === 'string' && other.toLowerCase() === skill.toLowerCase()) === index
+  );
+
+  // The profile resume keeps a single duration string per role
+  merged.experience = (merged.experience || []).map(entry => ({
+    ...entry,
+    duration: entry.duration || [entry.startDate, entry.current ? 'Present' : entry.endDate].filter(Boolean).join(' - ')
+  }));
+
+  return merged;
+};
+
+module.exports = {
+  parseResume,
+  mergeParsedResume
+};
@@ -0,0 +1,41 @@
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+
+// Pull plain text out of an uploaded resume (multer memory file).
+// Returns { text } or { error }.
+const extractResumeText = async (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+
+  try {
+    if (extension === '.pdf') {
+      const data = await pdfParse(file.buffer);
+      return { text: data.text };
+    }
+
+    if (extension === '.docx') {
+      const result = await mammoth.extractRawText({ buffer: file.buffer });
+      return { text: result.value };
+    }
+
+    if (extension === '.txt') {
+      return { text: file.buffer.toString('utf-8') };
+    }
+  } catch (error) {
+    console.error(`Resume text extraction error (${extension}):`, error.message);
+    return {
+      error: extension === '.pdf'
+        ? 'Failed to parse PDF. The PDF may be scanned/image-based. Please use a text-based PDF, DOCX or TXT file.'
+        : 'Failed to read the document. Please check the file and try again.'
+    };
+  }
+
+  // Old binary Word files have no reliable text extractor
+  if (extension === '.doc') {
+    return { error: 'Legacy .doc files can\'t be read. Please save the file as DOCX or PDF and upload it again.' };
+  }
+
+  return { error: 'Only PDF, DOCX and TXT files are supported' };
+};
+
+module.exports = { extractResumeText };
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const path = require('path');
+const Resume = require('../models/Resume');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const { getStorage, getDefaultStorageName } = require('./storage');
+const { getPrivacySettings } = require('./privacy');
+const { isBlockedBetween } = require('./blocking');
+
+const MAX_VERSIONS = parseInt(process.env.RESUME_MAX_VERSIONS) || 5;
+
+const ALLOWED_TYPES = {
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.txt': 'text/plain'
+};
+
+// Make one version the default and clear the flag on the others
+const setDefaultResume = async (userId, resumeId) => {
+  await Resume.updateMany({ user: userId, _id: { $ne: resumeId } }, { isDefault: false });
+  return Resume.findOneAndUpdate(
+    { _id: resumeId, user: userId, deletedAt: null },
+    { isDefault: true },
+    { new: true }
+  );
+};
+
+// Store an uploaded file (multer memory file) as a new resume version.
+// Returns { resume } or { error }. The first version always becomes the
+// default, and re-uploading an identical file reuses its version.
+const storeResume = async (userId, file, { name, makeDefault = false } = {}) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  const contentType = ALLOWED_TYPES[extension];
+  if (!contentType) {
+    return { error: 'Only PDF, DOC, DOCX and TXT resumes are supported' };
+  }
+
+  const sha256 = crypto.createHash('sha256').update(file.buffer).digest('hex');
+  const existing = await Resume.findOne({ user: userId, sha256, deletedAt: null });
+  if (existing) {
+    return { resume: makeDefault ? await setDefaultResume(userId, existing._id) : existing };
+  }
+
+  const count = await Resume.countDocuments({ user: userId, deletedAt: null });
+  if (count >= MAX_VERSIONS) {
+    return { error: `You can keep up to ${MAX_VERSIONS} resumes. Delete one first.` };
+  }
+
+  const storage = getDefaultStorageName();
+  const storageKey = await getStorage(storage).save(file.buffer, {
+    filename: file.originalname,
+    contentType
+  });
+
+  const resume = await Resume.create({
+    user: userId,
+    name: (name || file.originalname).slice(0, 100),
+    filename: file.originalname,
+    contentType,
+    size: file.size,
+    sha256,
+    storage,
+    storageKey,
+    isDefault: count === 0
+  });
+
+  if (makeDefault && count > 0) {
+    return { resume: await setDefaultResume(userId, resume._id) };
+  }
+  return { resume };
+};
+
+// A version the user can still attach to something: the given one, or their
+// default
+const findUsableResume = (userId, resumeId) => Resume.findOne(
+  resumeId
+    ? { _id: resumeId, user: userId, deletedAt: null }
+    : { user: userId, isDefault: true, deletedAt: null }
+);
+
+// Delete a version. Files sent with applications are kept for the recruiter
+// and only hidden from the owner.
+const deleteResume = async (resume) => {
+  const inUse = await Job.exists({ 'applicants.resumeVersion': resume._id });
+
+  if (inUse) {
+    resume.deletedAt = new Date();
+    resume.isDefault = false;
+    await resume.save();
+  } else {
+    await getStorage(resume.storage).remove(resume.storageKey);
+    await resume.deleteOne();
+  }
+
+  // Keep a default if any versions are left
+  if (!await Resume.exists({ user: resume.user, isDefault: true, deletedAt: null })) {
+    const latest = await Resume.findOne({ user: resume.user, deletedAt: null }).sort('-createdAt');
+    if (latest) {
+      await setDefaultResume(resume.user, latest._id);
+    }
+  }
+};
+
+// Owner, staff, the poster of a job the resume was sent to, or anyone the
+// owner's resume privacy setting allows if it's their profile resume
+const canDownloadResume = async (resume, user) => {
+  if (resume.user.toString() === user._id.toString()) return true;
+  if (['moderator', 'admin'].includes(user.role)) return true;
+
+  const sentToUser = await Job.exists({
+    postedBy: user._id,
+    'applicants.resumeVersion': resume._id
+  });
+  if (sentToUser) return true;
+
+  const owner = await User.findById(resume.user).select('resume.version privacy connections');
+  const isProfileResume = owner && owner.resume && owner.resume.version &&
+    owner.resume.version.toString() === resume._id.toString();
+  if (!isProfileResume || resume.deletedAt || await isBlockedBetween(owner._id, user._id)) {
+    return false;
+  }
+
+  const setting = getPrivacySettings(owner).resume;
+  return setting === 'public' ||
+    (setting === 'connections' && owner.connections.some(id => id.toString() === user._id.toString()));
+};
+
+// Pipe the file to the response as a download. Rejects if the file can't
+// be read.
+const sendResumeFile = (resume, res) => new Promise((resolve, reject) => {
+  const stream = getStorage(resume.storage).createReadStream(resume.storageKey);
+
+  stream.once('error', reject);
+  stream.once('end', resolve);
+
+  res.set({
+    'Content-Type': resume.contentType,
+    'Content-Length': resume.size,
+    'Content-Disposition': `attachment; filename="${resume.filename.replace(/["\\\r\n]/g, '_')}"`,
+    'Cache-Control': 'private, no-store'
+  });
+  stream.pipe(res);
+});
+
+module.exports = {
+  MAX_VERSIONS,
+  setDefaultResume,
+  storeResume,
+  findUsableResume,
+  deleteResume,
+  canDownloadResume,
+  sendResumeFile
+};
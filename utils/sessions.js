@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Short-lived JWT tied to a session, so revoking the session revokes it
+const signAccessToken = (userId, sessionId) => jwt.sign(
+  { userId, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Refresh tokens are "<sessionId>.<secret>"; only the secret's hash is stored
+const newRefreshToken = (session) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+  session.refreshTokenHash = hashToken(secret);
+  session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+  return `${session._id}.${secret}`;
+};
+
+// Start a session for a freshly authenticated user
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    userAgent: req.get('User-Agent') || '',
+    ip: req.ip || '',
+    refreshTokenHash: 'pending',
+    expiresAt: new Date()
+  });
+
+  const refreshToken = newRefreshToken(session);
+  await session.save();
+
+  return {
+    token: signAccessToken(user._id, session._id),
+    refreshToken,
+    session
+  };
+};
+
+// Exchange a refresh token for a new access/refresh token pair.
+// Resolves to { token, refreshToken, session } or { error }.
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!mongoose.isValidObjectId(sessionId) || !secret) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  // Swap the token in one conditional update, so two refreshes with the
+  // same token can't both succeed
+  const now = new Date();
+  const nextSecret = crypto.randomBytes(32).toString('hex');
+  const update = {
+    refreshTokenHash: hashToken(nextSecret),
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+    lastUsedAt: now
+  };
+  if (req.get('User-Agent')) update.userAgent = req.get('User-Agent');
+  if (req.ip) update.ip = req.ip;
+
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: hashToken(secret), revokedAt: null, expiresAt: { $gt: now } },
+    update,
+    { new: true }
+  );
+
+  if (!session) {
+    const current = await Session.findById(sessionId);
+    if (!current || !current.isActive()) {
+      return { error: 'Session has expired or was revoked' };
+    }
+
+    // An old token being replayed means it leaked, so kill the session
+    await Session.updateOne({ _id: current._id, revokedAt: null }, { revokedAt: now });
+    return { error: 'Refresh token was already used, session revoked' };
+  }
+
+  return {
+    token: signAccessToken(session.user, session._id),
+    refreshToken: `${session._id}.${nextSecret}`,
+    session
+  };
+};
+
+module.exports = {
+  createSession,
+  rotateSession
+};
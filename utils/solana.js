@@ -0,0 +1,101 @@
+const { Connection, PublicKey, SystemProgram, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+
+let connection = null;
+
+// Get (or lazily create) the Solana RPC connection.
+// For local testing point SOLANA_RPC_URL at solana-test-validator (http://127.0.0.1:8899).
+const getConnection = () => {
+  if (!connection) {
+    const url = process.env.SOLANA_RPC_URL;
+    if (!url) {
+      throw new Error('No RPC URL configured for solana');
+    }
+    connection = new Connection(url, 'finalized');
+  }
+
+  return connection;
+};
+
+const isSameAddress = (a, b) => {
+  try {
+    return new PublicKey(a).equals(new PublicKey(b));
+  } catch (error) {
+    return false;
+  }
+};
+
+const solToLamports = (sol) => Math.round(parseFloat(sol) * LAMPORTS_PER_SOL);
+
+// SystemProgram transfers in a parsed transaction into the given wallet
+const findTransfers = (tx, to) => tx.transaction.message.instructions.filter(ix =>
+  ix.programId.equals(SystemProgram.programId) &&
+  ix.parsed &&
+  ['transfer', 'transferWithSeed'].includes(ix.parsed.type) &&
+  isSameAddress(ix.parsed.info.destination, to)
+);
+
+// Who paid: the source of the first transfer, else the fee payer
+const senderOf = (tx, transfers) => (transfers.length > 0
+  ? transfers[0].parsed.info.source
+  : tx.transaction.message.accountKeys[0].pubkey.toBase58());
+
+// Verify a SystemProgram SOL transfer on-chain. Only finalized transactions
+// count, so a transaction that is not finalized yet is reported as pending.
+// Resolves to { verified, pending, failed, error, details } like
+// verifyNativeTransfer in ./evm.
+const verifySolTransfer = async ({ signature, expectedFrom, expectedTo, minAmount }) => {
+  const tx = await getConnection().getParsedTransaction(signature, {
+    commitment: 'finalized',
+    maxSupportedTransactionVersion: 0
+  });
+
+  if (!tx) {
+    // Check the sender of a transaction that is not finalized yet, so nobody
+    // can claim someone else's transaction before it lands
+    const unfinalized = await getConnection().getParsedTransaction(signature, {
+      commitment: 'confirmed',
+      maxSupportedTransactionVersion: 0
+    });
+    if (unfinalized && !isSameAddress(senderOf(unfinalized, findTransfers(unfinalized, expectedTo)), expectedFrom)) {
+      return { verified: false, error: 'Transaction was not sent from your connected wallet' };
+    }
+    return { verified: false, pending: true, error: 'Transaction not found or not yet finalized' };
+  }
+
+  // Sum every SystemProgram transfer into the platform wallet
+  const transfers = findTransfers(tx, expectedTo);
+  const lamports = transfers.reduce((sum, ix) => sum + Number(ix.parsed.info.lamports), 0);
+
+  const details = {
+    fromAddress: senderOf(tx, transfers),
+    toAddress: expectedTo,
+    amount: lamports / LAMPORTS_PER_SOL,
+    blockNumber: tx.slot,
+    feeLamports: tx.meta ? tx.meta.fee : undefined
+  };
+
+  if (!isSameAddress(details.fromAddress, expectedFrom)) {
+    return { verified: false, error: 'Transaction was not sent from your connected wallet', details };
+  }
+
+  if (!tx.meta || tx.meta.err) {
+    return { verified: false, failed: true, error: 'Transaction failed on-chain', details };
+  }
+
+  if (transfers.length === 0) {
+    return { verified: false, failed: true, error: 'Transaction was not sent to the platform wallet', details };
+  }
+
+  if (lamports < solToLamports(minAmount)) {
+    return { verified: false, failed: true, error: 'Transaction amount is below the required fee', details };
+  }
+
+  return { verified: true, details };
+};
+
+module.exports = {
+  getConnection,
+  isSameAddress,
+  solToLamports,
+  verifySolTransfer
+};
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// File storage backends, picked with FILE_STORAGE:
+// - disk: files under FILE_STORAGE_DIR (default ./uploads)
+// - gridfs: files in MongoDB GridFS, for hosts without a persistent disk
+// Each backend has save(buffer, { filename, contentType }) -> key,
+// createReadStream(key) and remove(key). Records keep the backend name, so
+// files saved before a switch can still be read.
+const backends = {
+  disk: () => {
+    const dir = path.resolve(process.env.FILE_STORAGE_DIR || path.join(__dirname, '..', 'uploads'));
+
+    // Keys are generated here, but never let one point outside the directory
+    const filePath = (key) => {
+      if (path.basename(key) !== key) {
+        throw new Error('Invalid storage key');
+      }
+      return path.join(dir, key);
+    };
+
+    return {
+      save: async (buffer, { filename }) => {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const key = `${crypto.randomUUID()}${path.extname(filename || '').toLowerCase()}`;
+        await fs.promises.writeFile(filePath(key), buffer);
+        return key;
+      },
+      createReadStream: (key) => fs.createReadStream(filePath(key)),
+      remove: async (key) => {
+        try {
+          await fs.promises.unlink(filePath(key));
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+      }
+    };
+  },
+  gridfs: () => {
+    const bucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+      bucketName: process.env.GRIDFS_BUCKET || 'files'
+    });
+
+    return {
+      save: (buffer, { filename, contentType }) => new Promise((resolve, reject) => {
+        const upload = bucket().openUploadStream(filename || 'file', { contentType });
+        upload.on('error', reject);
+        upload.on('finish', () => resolve(upload.id.toString()));
+        upload.end(buffer);
+      }),
+      createReadStream: (key) => bucket().openDownloadStream(new mongoose.Types.ObjectId(key)),
+      remove: async (key) => {
+        try {
+          await bucket().delete(new mongoose.Types.ObjectId(key));
+        } catch (error) {
+          if (!/FileNotFound|File not found/i.test(error.message)) throw error;
+        }
+      }
+    };
+  }
+};
+
+const instances = {};
+
+const getStorage = (name = process.env.FILE_STORAGE || 'disk') => {
+  if (!backends[name]) {
+    throw new Error(`Unknown file storage: ${name}`);
+  }
+  if (!instances[name]) {
+    instances[name] = backends[name]();
+  }
+  return instances[name];
+};
+
+const getDefaultStorageName = () => process.env.FILE_STORAGE || 'disk';
+
+module.exports = {
+  getStorage,
+  getDefaultStorageName
+};
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const UserToken = require('../models/UserToken');
+
+const TTL_MS = {
+  password_reset: 60 * 60 * 1000,
+  email_verification: 24 * 60 * 60 * 1000
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a new token, invalidating earlier unused ones of the same type
+const issueUserToken = async (userId, type) => {
+  await UserToken.updateMany(
+    { user: userId, type, usedAt: null },
+    { usedAt: new Date() }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await UserToken.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TTL_MS[type])
+  });
+
+  return token;
+};
+
+// Mark a token used and return it, or null if unknown, used or expired
+const consumeUserToken = (token, type) => UserToken.findOneAndUpdate(
+  {
+    tokenHash: hashToken(String(token || '')),
+    type,
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  },
+  { usedAt: new Date() }
+);
+
+module.exports = {
+  issueUserToken,
+  consumeUserToken
+};
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const bs58 = require('bs58');
+const { ethers } = require('ethers');
+const { PublicKey } = require('@solana/web3.js');
+const AuthNonce = require('../models/AuthNonce');
+
+const NONCE_TTL_MS = 10 * 60 * 1000;
+
+// Allowance for a wallet clock running slightly ahead of ours
+const CLOCK_SKEW_MS = 60 * 1000;
+
+// Chain IDs a sign-in message may name. EVM wallets sign on any network we
+// take payments on; Solana uses cluster names.
+const SIGN_IN_CHAIN_IDS = {
+  ethereum: (process.env.SIWE_CHAIN_IDS || '1,137').split(',').map(id => id.trim()),
+  solana: (process.env.SIWS_CHAIN_IDS || 'mainnet').split(',').map(id => id.trim())
+};
+
+// Messages must be issued for the frontend the user signs in on. SIWE_DOMAIN
+// overrides the host taken from FRONTEND_URL, e.g. behind a proxy.
+const expectedDomain = () => process.env.SIWE_DOMAIN || new URL(process.env.FRONTEND_URL || 'http://localhost:5173').host;
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date) ? null : date;
+};
+
+const hostOf = (uri) => {
+  try {
+    return new URL(uri).host;
+  } catch (error) {
+    return null;
+  }
+};
+
+// DER prefix that turns a raw 32-byte ed25519 key into an SPKI public key
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+// Normalize an address for the given chain, or return null if invalid
+const normalizeAddress = (address, chain) => {
+  try {
+    if (chain === 'solana') {
+      return new PublicKey(address).toBase58();
+    }
+    return ethers.getAddress(address);
+  } catch (error) {
+    return null;
+  }
+};
+
+const createNonce = async (address, chain) => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+
+  await AuthNonce.create({
+    nonce,
+    address,
+    chain,
+    expiresAt: new Date(Date.now() + NONCE_TTL_MS)
+  });
+
+  return nonce;
+};
+
+// Parse an EIP-4361 (Sign-In with Ethereum) message, or its Solana
+// counterpart which uses the same layout. Returns null if malformed.
+const parseSignInMessage = (message) => {
+  const header = /^(.+) wants you to sign in with your (Ethereum|Solana) account:\n(\S+)\n/.exec(message);
+  if (!header) {
+    return null;
+  }
+
+  const field = (name) => {
+    const match = new RegExp(`^${name}: (.+)$`, 'm').exec(message);
+    return match ? match[1].trim() : undefined;
+  };
+
+  return {
+    domain: header[1],
+    chain: header[2].toLowerCase(),
+    address: header[3],
+    uri: field('URI'),
+    version: field('Version'),
+    chainId: field('Chain ID'),
+    nonce: field('Nonce'),
+    issuedAt: field('Issued At'),
+    expirationTime: field('Expiration Time')
+  };
+};
+
+const verifySignature = (message, signature, address, chain) => {
+  try {
+    if (chain === 'solana') {
+      const key = crypto.createPublicKey({
+        key: Buffer.concat([ED25519_SPKI_PREFIX, new PublicKey(address).toBuffer()]),
+        format: 'der',
+        type: 'spki'
+      });
+      return crypto.verify(null, Buffer.from(message, 'utf8'), key, Buffer.from(bs58.decode(signature)));
+    }
+
+    return ethers.getAddress(ethers.verifyMessage(message, signature)) === address;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Verify a signed sign-in message and consume its nonce.
+// Resolves to { address, chain } on success or { error } otherwise.
+const verifySignIn = async ({ message, signature }) => {
+  if (!message || !signature) {
+    return { error: 'Message and signature are required' };
+  }
+
+  const fields = parseSignInMessage(message);
+  if (!fields || !fields.nonce) {
+    return { error: 'Invalid sign-in message' };
+  }
+
+  const address = normalizeAddress(fields.address, fields.chain);
+  if (!address) {
+    return { error: 'Invalid wallet address' };
+  }
+
+  // A message signed for another site must not log in here
+  const domain = expectedDomain();
+  if (fields.domain !== domain || hostOf(fields.uri) !== domain) {
+    return { error: 'Sign-in message was issued for another domain' };
+  }
+
+  // EIP-4361 requires a chain ID; Solana messages may leave it out
+  if ((fields.chainId || fields.chain === 'ethereum') && !SIGN_IN_CHAIN_IDS[fields.chain].includes(fields.chainId)) {
+    return { error: 'Sign-in message is for an unsupported chain' };
+  }
+
+  const issuedAt = parseDate(fields.issuedAt);
+  if (!issuedAt || issuedAt.getTime() > Date.now() + CLOCK_SKEW_MS) {
+    return { error: 'Sign-in message has an invalid issue time' };
+  }
+
+  if (fields.expirationTime) {
+    const expiresAt = parseDate(fields.expirationTime);
+    if (!expiresAt || expiresAt < new Date()) {
+      return { error: 'Sign-in message has expired' };
+    }
+  }
+
+  if (!verifySignature(message, signature, address, fields.chain)) {
+    return { error: 'Invalid signature' };
+  }
+
+  // Nonces are single use, so a signed message can't be replayed
+  const nonce = await AuthNonce.findOneAndDelete({
+    nonce: fields.nonce,
+    address,
+    chain: fields.chain,
+    expiresAt: { $gt: new Date() }
+  });
+  if (!nonce) {
+    return { error: 'Nonce is invalid or has expired' };
+  }
+
+  return { address, chain: fields.chain };
+};
+
+module.exports = {
+  normalizeAddress,
+  createNonce,
+  parseSignInMessage,
+  verifySignIn
+};
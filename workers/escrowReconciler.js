@@ -0,0 +1,78 @@
+const Milestone = require('../models/Milestone');
+const { getProvider } = require('../utils/evm');
+const { PAYOUTS, finishPayout } = require('../utils/escrow');
+
+const POLL_INTERVAL_MS = parseInt(process.env.ESCROW_RECONCILE_INTERVAL_MS) || 60000;
+const DROPPED_AFTER_MS = (parseInt(process.env.ESCROW_PAYOUT_TIMEOUT_MINUTES) || 60) * 60 * 1000;
+
+const payoutKind = (milestone) => (milestone.status === 'releasing' ? 'release' : 'refund');
+
+// Settle a milestone whose payout transaction was sent but whose result was
+// never recorded, e.g. because the server stopped while waiting for it.
+// Resolves to the milestone as it now stands.
+const reconcileMilestone = async (milestone) => {
+  const kind = payoutKind(milestone);
+  const { transactionHash, sentAt } = milestone[kind];
+  const provider = getProvider(milestone.blockchain);
+
+  const receipt = await provider.getTransactionReceipt(transactionHash);
+  if (receipt) {
+    return (await finishPayout(milestone, kind, receipt)) || Milestone.findById(milestone._id);
+  }
+
+  // A transaction the node no longer knows about was dropped, so nothing
+  // left escrow and the payout can be tried again
+  const transaction = await provider.getTransaction(transactionHash);
+  const age = Date.now() - (sentAt || milestone.updatedAt).getTime();
+  if (!transaction && age > DROPPED_AFTER_MS) {
+    const reopened = await Milestone.findOneAndUpdate(
+      { _id: milestone._id, status: PAYOUTS[kind].sending, [`${kind}.transactionHash`]: transactionHash },
+      { status: milestone.previousStatus },
+      { new: true }
+    );
+    return reopened || Milestone.findById(milestone._id);
+  }
+
+  return milestone;
+};
+
+let running = false;
+
+// Check every payout that was sent but not recorded. Like pending payments,
+// these live in the DB, so a restarted server picks them up again.
+const reconcilePayouts = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const milestones = await Milestone.find({
+      $or: [
+        { status: 'releasing', 'release.transactionHash': { $exists: true } },
+        { status: 'refunding', 'refund.transactionHash': { $exists: true } }
+      ]
+    }).sort('updatedAt');
+
+    for (const milestone of milestones) {
+      try {
+        await reconcileMilestone(milestone);
+      } catch (error) {
+        console.error(`Escrow reconciler error (${milestone._id}):`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('Escrow reconciler error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+const startEscrowReconciler = () => {
+  reconcilePayouts();
+  return setInterval(reconcilePayouts, POLL_INTERVAL_MS);
+};
+
+module.exports = {
+  reconcileMilestone,
+  reconcilePayouts,
+  startEscrowReconciler
+};
@@ -0,0 +1,275 @@
+const Payment = require('../models/Payment');
+const PaymentIntent = require('../models/PaymentIntent');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const { verifyNativeTransfer, verifyTokenTransfer, getConfirmations } = require('../utils/evm');
+const { verifySolTransfer } = require('../utils/solana');
+const { getUsdPrice } = require('../utils/fiat');
+
+const POLL_INTERVAL_MS = parseInt(process.env.PAYMENT_POLL_INTERVAL_MS) || 15000;
+const TIMEOUT_MS = (parseInt(process.env.PAYMENT_CONFIRMATION_TIMEOUT_MINUTES) || 60) * 60 * 1000;
+
+// Blocks required on top of an EVM payment before it is confirmed.
+// Solana payments confirm once the transaction is finalized.
+const getRequiredConfirmations = (blockchain) => {
+  switch (blockchain) {
+    case 'ethereum':
+      return parseInt(process.env.ETH_CONFIRMATIONS) || 12;
+    case 'polygon':
+      return parseInt(process.env.POLYGON_CONFIRMATIONS) || 64;
+    default:
+      return 1;
+  }
+};
+
+// Run the on-chain checks for a stored payment
+const verifyPaymentOnChain = (payment) => {
+  if (payment.blockchain === 'solana') {
+    return verifySolTransfer({
+      signature: payment.transactionHash,
+      expectedFrom: payment.fromAddress,
+      expectedTo: payment.toAddress,
+      minAmount: payment.amount
+    });
+  }
+
+  if (payment.tokenAddress) {
+    return verifyTokenTransfer({
+      blockchain: payment.blockchain,
+      transactionHash: payment.transactionHash,
+      token: { symbol: payment.tokenSymbol, address: payment.tokenAddress },
+      expectedFrom: payment.fromAddress,
+      expectedTo: payment.toAddress,
+      minAmount: payment.amount
+    });
+  }
+
+  return verifyNativeTransfer({
+    blockchain: payment.blockchain,
+    transactionHash: payment.transactionHash,
+    expectedFrom: payment.fromAddress,
+    expectedTo: payment.toAddress,
+    minAmount: payment.amount
+  });
+};
+
+// Apply what a confirmed payment pays for
+const applyPaymentEffects = async (payment) => {
+  if (payment.purpose === 'job_posting' && payment.relatedJobId) {
+    await Job.findByIdAndUpdate(payment.relatedJobId, {
+      paymentVerified: true,
+      transactionHash: payment.transactionHash,
+      blockchain: payment.blockchain
+    });
+  }
+
+  if (['job_boost', 'featured_listing'].includes(payment.purpose) && payment.relatedJobId) {
+    const field = payment.purpose === 'job_boost' ? 'boostedUntil' : 'featuredUntil';
+    const job = await Job.findById(payment.relatedJobId);
+
+    if (job) {
+      // Stack onto a promotion that is still running
+      const start = job[field] && job[field] > new Date() ? job[field] : new Date();
+      job[field] = new Date(start.getTime() + (payment.durationDays || 7) * 24 * 60 * 60 * 1000);
+      await job.save();
+    }
+  }
+
+  if (payment.purpose === 'premium_subscription') {
+    await User.extendPremium(payment.user, payment.durationMonths || 1);
+  }
+};
+
+// Undo what applyPaymentEffects granted, for a refunded payment. Returns
+// what was changed so it can be recorded in the audit log.
+const revertPaymentEffects = async (payment) => {
+  const reverted = {};
+
+  if (payment.purpose === 'job_posting' && payment.relatedJobId) {
+    const job = await Job.findByIdAndUpdate(payment.relatedJobId, { paymentVerified: false });
+    if (job) {
+      reverted.paymentVerified = { job: job._id, previous: job.paymentVerified, current: false };
+    }
+  }
+
+  if (['job_boost', 'featured_listing'].includes(payment.purpose) && payment.relatedJobId) {
+    const field = payment.purpose === 'job_boost' ? 'boostedUntil' : 'featuredUntil';
+    const job = await Job.findById(payment.relatedJobId);
+
+    if (job && job[field]) {
+      // Remove the days this payment added; other promotions stacked on it keep theirs
+      const previous = job[field];
+      const until = new Date(previous.getTime() - (payment.durationDays || 7) * 24 * 60 * 60 * 1000);
+      job[field] = until > new Date() ? until : null;
+      await job.save();
+      reverted[field] = { job: job._id, previous, current: job[field] };
+    }
+  }
+
+  if (payment.purpose === 'premium_subscription') {
+    const previous = await User.findById(payment.user).select('premiumExpiresAt');
+    const user = await User.shortenPremium(payment.user, payment.durationMonths || 1);
+    if (user) {
+      reverted.premiumExpiresAt = {
+        user: user._id,
+        previous: previous.premiumExpiresAt,
+        current: user.premiumExpiresAt
+      };
+    }
+  }
+
+  return reverted;
+};
+
+const hasTimedOut = (payment) => Date.now() - payment.createdAt.getTime() > TIMEOUT_MS;
+
+// Fields recorded from the on-chain transfer
+const detailFields = (details) => {
+  if (!details) return {};
+
+  const fields = {
+    amount: details.amount,
+    fromAddress: details.fromAddress,
+    toAddress: details.toAddress,
+    blockNumber: details.blockNumber
+  };
+  if (details.gasUsed !== undefined) fields.gasUsed = details.gasUsed;
+  if (details.feeLamports !== undefined) fields.feeLamports = details.feeLamports;
+  return fields;
+};
+
+// Move a pending payment to a final status. The worker and the submit route
+// can check the same payment at once. The status condition lets only one of
+// them win: it gets the updated payment back and the other gets null.
+const settlePayment = (payment, fields) => Payment.findOneAndUpdate(
+  { _id: payment._id, status: 'pending' },
+  { $set: fields },
+  { new: true }
+);
+
+// Mark a payment failed and reopen its intent so the user can pay again
+const failPayment = async (payment, reason, details) => {
+  const failed = await settlePayment(payment, {
+    ...detailFields(details),
+    status: 'failed',
+    failureReason: reason
+  });
+
+  if (!failed) {
+    return Payment.findById(payment._id);
+  }
+
+  if (failed.intent) {
+    await PaymentIntent.updateOne(
+      { _id: failed.intent, status: 'used' },
+      { status: 'open', $unset: { payment: 1 } }
+    );
+  }
+
+  return failed;
+};
+
+// Move a pending payment forward: fail it, confirm it, or leave it pending.
+// An already fetched verification result can be passed in to save an RPC call.
+// Resolves to the payment as it now stands.
+const checkPayment = async (payment, result) => {
+  if (payment.status !== 'pending') {
+    return payment;
+  }
+
+  result = result || await verifyPaymentOnChain(payment);
+
+  if (result.pending) {
+    return hasTimedOut(payment)
+      ? failPayment(payment, 'Timed out waiting for confirmations')
+      : payment;
+  }
+
+  if (!result.verified) {
+    return failPayment(payment, result.error, result.details);
+  }
+
+  const requiredConfirmations = getRequiredConfirmations(payment.blockchain);
+  const confirmations = payment.blockchain === 'solana'
+    ? requiredConfirmations
+    : await getConfirmations(payment.blockchain, result.details.blockNumber);
+
+  if (confirmations < requiredConfirmations) {
+    if (hasTimedOut(payment)) {
+      return failPayment(payment, 'Timed out waiting for confirmations');
+    }
+    payment.confirmations = confirmations;
+    await Payment.updateOne({ _id: payment._id, status: 'pending' }, { confirmations });
+    return payment;
+  }
+
+  const fields = {
+    ...detailFields(result.details),
+    status: 'confirmed',
+    confirmedAt: new Date(),
+    confirmations
+  };
+
+  const usdPrice = await getUsdPrice(payment.currency);
+  if (usdPrice !== null) {
+    fields.fiatValue = Math.round(result.details.amount * usdPrice * 100) / 100;
+    fields.fiatCurrency = 'USD';
+  }
+
+  const confirmed = await settlePayment(payment, fields);
+  if (!confirmed) {
+    return Payment.findById(payment._id);
+  }
+
+  // Only the caller that confirmed the payment applies and numbers it.
+  // Effects come first: the worker never sees a confirmed payment again, and
+  // a missing invoice number is filled in when the receipt is downloaded.
+  await applyPaymentEffects(confirmed);
+
+  try {
+    await confirmed.assignInvoiceNumber();
+    await confirmed.save();
+  } catch (error) {
+    console.error(`Invoice number error (${confirmed._id}):`, error.message);
+  }
+
+  return confirmed;
+};
+
+let running = false;
+
+// Check every pending payment once. Pending payments live in the DB, so a
+// restarted server simply picks them up again on its first pass.
+const processPendingPayments = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const payments = await Payment.find({ status: 'pending' }).sort('createdAt');
+
+    for (const payment of payments) {
+      try {
+        await checkPayment(payment);
+      } catch (error) {
+        console.error(`Payment confirmer error (${payment.transactionHash}):`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('Payment confirmer error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+const startPaymentConfirmer = () => {
+  processPendingPayments();
+  return setInterval(processPendingPayments, POLL_INTERVAL_MS);
+};
+
+module.exports = {
+  checkPayment,
+  revertPaymentEffects,
+  getRequiredConfirmations,
+  processPendingPayments,
+  startPaymentConfirmer
+};
@@ -0,0 +1,71 @@
+const User = require('../models/User');
+const { createNotification } = require('../routes/notifications');
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.PREMIUM_SWEEP_INTERVAL_MS) || 60 * 60 * 1000;
+const NOTICE_DAYS = parseInt(process.env.PREMIUM_EXPIRY_NOTICE_DAYS) || 3;
+
+let running = false;
+
+// Warn users whose premium is about to run out and switch off expired premium
+const sweepPremium = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const now = new Date();
+    const noticeThreshold = new Date(now.getTime() + NOTICE_DAYS * 24 * 60 * 60 * 1000);
+
+    const expiringUsers = await User.find({
+      isPremium: true,
+      premiumExpiresAt: { $gt: now, $lte: noticeThreshold },
+      premiumExpiryNotifiedAt: null
+    }).select('premiumExpiresAt');
+
+    for (const user of expiringUsers) {
+      await createNotification({
+        recipient: user._id,
+        type: 'premium_expiring',
+        message: `Your premium subscription expires on ${user.premiumExpiresAt.toDateString()}. Renew to keep your premium features.`
+      });
+      // A renewal in the meantime resets the notice for the new expiry
+      await User.updateOne(
+        { _id: user._id, premiumExpiresAt: user.premiumExpiresAt },
+        { premiumExpiryNotifiedAt: now }
+      );
+    }
+
+    const expiredUsers = await User.find({
+      isPremium: true,
+      premiumExpiresAt: { $lte: now }
+    }).select('_id');
+
+    for (const user of expiredUsers) {
+      // Re-check the expiry so a renewal since the find isn't switched off
+      const result = await User.updateOne(
+        { _id: user._id, isPremium: true, premiumExpiresAt: { $lte: now } },
+        { isPremium: false }
+      );
+      if (!result.modifiedCount) continue;
+
+      await createNotification({
+        recipient: user._id,
+        type: 'premium_expired',
+        message: 'Your premium subscription has expired.'
+      });
+    }
+  } catch (error) {
+    console.error('Premium sweep error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+const startPremiumSweeper = () => {
+  sweepPremium();
+  return setInterval(sweepPremium, SWEEP_INTERVAL_MS);
+};
+
+module.exports = {
+  sweepPremium,
+  startPremiumSweeper
+};